@@ -1,10 +1,55 @@
 // Background Service Worker - Handles searches and orchestrates content extraction
 
+import { parsePdf } from './pdf-text.js';
+import {
+  parseWikipediaResults,
+  parseDDGLiteResults,
+  parseSearXNGResults,
+  parseBraveResults,
+  parseBingResults
+} from './search-parsers.js';
+
 const STORAGE_KEY = 'edgeai_search_results';
-const MAX_PAGES_PER_SEARCH = 3;
+const SETTINGS_KEY = 'searchSettings';
+const PROVIDERS_KEY = 'searchProviders';
+const STREAM_IDLE_TIMEOUT = 60000;
+const WEBAPP_URL = 'https://edge.inled.es/';
+// Must match WEBAPP_ORIGINS in content.js
+const WEBAPP_ORIGINS = [
+  'https://edge.inled.es',
+  'http://localhost:4321',
+  'https://localhost:4321',
+  'https://hosted.inled.es'
+];
+const WEBAPP_TAB_URLS = WEBAPP_ORIGINS.map(origin => `${origin}/*`);
+const WEBAPP_OPEN_TIMEOUT = 30000;
+
+// Defaults for the search-and-extract budget, overridable from the popup
+// (stored under SETTINGS_KEY) and per request via `options`
+const DEFAULT_SEARCH_SETTINGS = {
+  maxResults: 10,       // Search results kept after merging all engines
+  maxPages: 3,          // URLs opened and extracted per search
+  resultsPerEngine: 3,  // Results requested from each engine
+  pageTimeout: 25000,   // Per-page extraction timeout (ms)
+  concurrency: 3,       // Pages extracted at the same time
+  extractionMode: 'auto', // 'tab', 'fetch' (headless) or 'auto' (fetch, tab fallback)
+  chunking: false,      // Split each source into RAG chunks
+  chunkTokens: 512,     // Target chunk size (estimated tokens)
+  chunkOverlap: 64      // Tokens repeated between consecutive chunks of a section
+};
+
+const EXTRACTION_MODES = ['auto', 'tab', 'fetch'];
+const OFFSCREEN_DOCUMENT = 'offscreen.html';
+// Headless results below this are treated as an unrendered app shell
+const MIN_HEADLESS_WORDS = 50;
+
+// Message types of the OpenAI-compatible bridge and the endpoint each maps to
+const INBOUND_API_ENDPOINTS = {
+  CHAT_COMPLETIONS: 'chat.completions',
+  EMBEDDINGS: 'embeddings',
+  LIST_MODELS: 'models'
+};
 
-// Store for ongoing search operations
-const activeSearches = new Map();
 const apiStats = {
   inbound: { active: false, lastUsed: 0, totalRequests: 0 },
   outbound: { active: false, lastUsed: 0, totalRequests: 0 }
@@ -18,17 +63,28 @@ chrome.runtime.onMessageExternal.addListener((request, sender, sendResponse) =>
   }
 
   if (request.type === 'SEARCH_AND_EXTRACT') {
-    handleSearchRequest(request.query, request.searchId).then(sendResponse);
+    handleSearchRequest(request.query, request.searchId, getRequestOptions(request), sender).then(sendResponse);
     return true;
   }
 
   if (request.type === 'SEARCH_ONLY') {
-    handleSearchOnly(request.query, request.searchId).then(sendResponse);
+    handleSearchOnly(request.query, request.searchId, getRequestOptions(request), sender).then(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'GET_RESULTS') {
+    getStoredResults(request.searchId, sender).then(sendResponse);
     return true;
   }
 
   if (request.type === 'EXTRACT_URLS') {
-    handleExtractionRequest(request.urls, request.searchId).then(sendResponse);
+    handleExtractionRequest(request.urls, request.searchId, getRequestOptions(request), sender).then(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'EXTRACT_ACTIVE_TAB') {
+    // Sites only get the tab the user is reading, never one they name
+    handleExtractActiveTab({ selectionOnly: request.selectionOnly }, getRequestOptions(request), sender).then(sendResponse);
     return true;
   }
 
@@ -36,18 +92,38 @@ chrome.runtime.onMessageExternal.addListener((request, sender, sendResponse) =>
     apiStats.outbound.active = true;
     apiStats.outbound.lastUsed = Date.now();
     apiStats.outbound.totalRequests++;
-    handleFetchJson(request.url, request.options).then(res => {
+    authorizeAndFetchJson(request, sender).then(res => {
+      apiStats.outbound.active = false;
+      sendResponse(res);
+    });
+    return true;
+  }
+
+  if (request.type === 'FETCH') {
+    apiStats.outbound.active = true;
+    apiStats.outbound.lastUsed = Date.now();
+    apiStats.outbound.totalRequests++;
+    authorizeAndFetch(request, sender).then(res => {
       apiStats.outbound.active = false;
       sendResponse(res);
     });
     return true;
   }
 
-  if (request.type === 'CHAT_COMPLETIONS') {
+  // FETCH_CANCEL is kept as an alias from before CANCEL covered every operation
+  if (request.type === 'CANCEL' || request.type === 'FETCH_CANCEL') {
+    sendResponse(cancelOperation(request.requestId || request.searchId, sender));
+    return false;
+  }
+
+  if (Object.hasOwn(INBOUND_API_ENDPOINTS, request.type)) {
     apiStats.inbound.active = true;
     apiStats.inbound.lastUsed = Date.now();
     apiStats.inbound.totalRequests++;
-    handleInboundApiRequest(request.payload, request.apiKey).then(res => {
+    handleInboundApiRequest(request.payload, request.apiKey, {
+      endpoint: INBOUND_API_ENDPOINTS[request.type],
+      sender
+    }).then(res => {
       apiStats.inbound.active = false;
       sendResponse(res);
     });
@@ -55,56 +131,290 @@ chrome.runtime.onMessageExternal.addListener((request, sender, sendResponse) =>
   }
 });
 
+
+// Streaming clients open a long-lived port and receive chat.completion.chunk
+// deltas or FETCH_CHUNK lines
+chrome.runtime.onConnectExternal.addListener((port) => {
+  port.onMessage.addListener((request) => {
+    if (request.type === 'FETCH') {
+      handleFetchPort(port, request);
+      return;
+    }
+    if (request.type !== 'CHAT_COMPLETIONS') return;
+
+    apiStats.inbound.active = true;
+    apiStats.inbound.lastUsed = Date.now();
+    apiStats.inbound.totalRequests++;
+    handleInboundStreamRequest(port, request.payload, request.apiKey, port.sender).then(() => {
+      apiStats.inbound.active = false;
+    });
+  });
+});
+
+// content.js relays streamed FETCH_REQUESTs from the webapp over a port
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'edgeai-fetch') return;
+  port.onMessage.addListener((request) => {
+    if (request.type === 'FETCH') handleFetchPort(port, request);
+  });
+});
+
+function handleFetchPort(port, request) {
+  apiStats.outbound.active = true;
+  apiStats.outbound.lastUsed = Date.now();
+  apiStats.outbound.totalRequests++;
+  handleFetchStream(port, request, port.sender).then(() => {
+    apiStats.outbound.active = false;
+  });
+}
+
 /**
  * Handle Inbound API request (OpenAI standard)
- * Finds the active Edge AI tab and forwards the request
+ * Checks the API key and the request body, then finds the active Edge AI tab
+ * and forwards the request for `endpoint` ('chat.completions', 'embeddings'
+ * or 'models'). When `onChunk` is given, streaming chunks from the webapp are
+ * passed to it and the timeout is reset on every chunk; otherwise the result
+ * is returned in the OpenAI response shape.
  */
-async function handleInboundApiRequest(payload, apiKey) {
+async function handleInboundApiRequest(payload, apiKey, { endpoint = 'chat.completions', onChunk = null, signal = null, sender = null } = {}) {
   try {
-    const tabs = await chrome.tabs.query({ url: ['https://edge.inled.es/*', 'http://localhost:4321/*'] });
-    if (tabs.length === 0) {
-      throw new Error('Edge AI tab not found or not active');
+    // Browser callers come with their MessageSender, the local server with
+    // NATIVE_SENDER; anything else is refused rather than guessed
+    if (!sender) {
+      return openAiError(403, 'Request has no known sender', { type: 'permission_error', code: 'unknown_sender' });
+    }
+
+    const { key, error } = await validateApiKey(apiKey, sender);
+    if (error) return error;
+
+    const invalid = validateOpenAiRequest(endpoint, payload);
+    if (invalid) return invalid;
+
+    // Listing models reveals nothing about the conversation, so it needs no consent
+    if (endpoint !== 'models') {
+      const decision = sender === NATIVE_SENDER
+        ? await getNativeClientDecision()
+        : await requestPermission('chat', sender, { model: payload.model, endpoint });
+      if (decision.outcome !== 'allowed') {
+        const denied = deniedResponse(decision);
+        return { ...denied, ...openAiError(403, denied.error, { type: 'permission_error', code: 'permission_denied' }) };
+      }
     }
 
-    // Use the first available tab
-    const targetTabId = tabs[0].id;
+    // Listing models is quick and read-only: any registered tab answers it,
+    // busy or not. Everything else waits in line for an idle tab.
+    let targetTabId = endpoint === 'models' ? await peekWebAppTab() : null;
+    const reserved = targetTabId === null;
+    if (reserved) targetTabId = await acquireWebAppTab({ model: payload.model, signal });
     const requestId = `api_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
     return new Promise((resolve) => {
+      let timeout = null;
+      let settled = false;
+      let released = false;
+
+      const release = () => {
+        if (released) return;
+        released = true;
+        chrome.runtime.onMessage.removeListener(listener);
+        chrome.tabs.onRemoved.removeListener(onTabRemoved);
+        forgetCancelledWebAppRequest(targetTabId, release);
+        if (reserved) releaseWebAppTab(targetTabId);
+      };
+
+      // An abort or timeout tells the webapp to stop; the tab stays reserved
+      // until it confirms, so the next request doesn't land on a busy model
+      const finish = (result, { cancel = false } = {}) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (cancel && reserved) cancelWebAppRequest(targetTabId, requestId, release);
+        else release();
+        resolve(result);
+      };
+
+      // Non-streaming requests get a fixed budget, streams an idle budget per chunk
+      const armTimeout = () => {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => {
+          finish(openAiError(504, 'Request timeout', { type: 'server_error', code: 'timeout' }), { cancel: true });
+        }, onChunk ? STREAM_IDLE_TIMEOUT : 120000); // 2 minute timeout for inference
+      };
+
+      const onAbort = () => finish({ success: false, error: 'Request aborted' }, { cancel: true });
+      const unavailable = message => finish(openAiError(503, message, { type: 'server_error', code: 'webapp_unavailable' }));
+      const onTabRemoved = (tabId) => {
+        if (tabId !== targetTabId) return;
+        if (settled) release();
+        else unavailable('Edge AI tab was closed');
+      };
+
       // Setup temporary listener for the response from this specific request
       const listener = (message, sender) => {
         if (sender.tab && sender.tab.id === targetTabId && message.requestId === requestId) {
+          // After a cancel, any last word from the webapp means it stopped
+          if (settled) {
+            if (['OPENAI_API_CANCELLED', 'OPENAI_API_RESPONSE', 'OPENAI_API_ERROR'].includes(message.type)) release();
+            return;
+          }
           if (message.type === 'OPENAI_API_RESPONSE') {
-            chrome.runtime.onMessage.removeListener(listener);
-            resolve({ success: true, data: message.result || { done: true } });
+            finish({
+              success: true,
+              data: onChunk ? message.result || { done: true } : toOpenAiResponse(endpoint, message.result, payload)
+            });
           } else if (message.type === 'OPENAI_API_ERROR') {
-            chrome.runtime.onMessage.removeListener(listener);
-            resolve({ success: false, error: message.error });
+            // The webapp may pass an HTTP status and error code along with the message
+            finish(openAiError(message.status || 500, message.error, {
+              type: message.status && message.status < 500 ? 'invalid_request_error' : 'server_error',
+              code: message.code || null
+            }));
+          } else if (message.type === 'OPENAI_API_STREAM_CHUNK' && onChunk) {
+            armTimeout();
+            onChunk(message.chunk);
           }
-          // Note: Streaming chunks are handled separately if needed, 
-          // but for simple external API calls, we might want to support streaming too.
-          // For now, let's keep it simple or implement a callback system.
         }
       };
 
+      if (signal) {
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort);
+      }
+
       chrome.runtime.onMessage.addListener(listener);
+      chrome.tabs.onRemoved.addListener(onTabRemoved);
 
       chrome.tabs.sendMessage(targetTabId, {
         type: 'OPENAI_API_REQUEST',
         requestId,
+        endpoint,
         payload,
-        apiKey
-      });
+        key: { id: key.id, name: key.name }
+      }).catch(() => unavailable('Edge AI tab is not connected'));
 
-      // Timeout if no response
-      setTimeout(() => {
-        chrome.runtime.onMessage.removeListener(listener);
-        resolve({ success: false, error: 'Request timeout' });
-      }, 120000); // 2 minute timeout for inference
+      armTimeout();
     });
   } catch (error) {
-    return { success: false, error: error.message };
+    if (error.cancelled) return { success: false, error: 'Request aborted' };
+    return openAiError(error.status || 500, error.message, { type: 'server_error', code: error.code || null });
+  }
+}
+
+/**
+ * Handle a streaming CHAT_COMPLETIONS request received over a port.
+ * Posts OpenAI-style `chat.completion.chunk` objects and ends with `[DONE]`.
+ */
+async function handleInboundStreamRequest(port, payload = {}, apiKey, sender = null) {
+  // Stop listening for chunks as soon as the caller goes away
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+
+  await streamChatCompletion(payload, apiKey, {
+    sender,
+    signal: controller.signal,
+    post: (message) => {
+      try {
+        port.postMessage(message);
+      } catch (e) {
+        controller.abort();
+      }
+    }
+  });
+}
+
+/**
+ * Run a streaming chat completion and hand every CHAT_COMPLETION_CHUNK,
+ * CHAT_COMPLETION_DONE or CHAT_COMPLETION_ERROR message to `post`.
+ * Shared by extension ports and the native host; nothing is posted once
+ * `signal` aborts.
+ */
+async function streamChatCompletion(payload = {}, apiKey, { sender = null, signal, post: send }) {
+  const meta = {
+    id: `chatcmpl-${Date.now()}${Math.random().toString(36).substr(2, 9)}`,
+    created: Math.floor(Date.now() / 1000),
+    model: payload.model || 'edge-ai',
+    roleSent: false,
+    toolCalls: false
+  };
+
+  const post = (message) => {
+    if (!signal.aborted) send(message);
+  };
+
+  const result = await handleInboundApiRequest({ ...payload, stream: true }, apiKey, {
+    sender,
+    signal,
+    onChunk: (chunk) => {
+      const data = toCompletionChunk(chunk, meta);
+      if (data) post({ type: 'CHAT_COMPLETION_CHUNK', data });
+    }
+  });
+
+  if (!result.success) {
+    post({
+      type: 'CHAT_COMPLETION_ERROR',
+      error: result.error,
+      status: result.status,
+      data: result.data,
+      denied: !!result.denied,
+      decision: result.decision
+    });
+    return;
+  }
+
+  const finishReason = (result.data && result.data.finish_reason) || (meta.toolCalls ? 'tool_calls' : 'stop');
+  post({
+    type: 'CHAT_COMPLETION_CHUNK',
+    data: buildCompletionChunk(meta, {}, finishReason)
+  });
+  post({ type: 'CHAT_COMPLETION_DONE', data: '[DONE]' });
+}
+
+/**
+ * Normalize a chunk coming from the webapp into a `chat.completion.chunk`.
+ * The webapp may send raw text deltas or already OpenAI-shaped chunks.
+ */
+function toCompletionChunk(chunk, meta) {
+  if (chunk === null || chunk === undefined) return null;
+
+  if (typeof chunk === 'object' && Array.isArray(chunk.choices)) {
+    meta.roleSent = true;
+    return {
+      ...chunk,
+      id: chunk.id || meta.id,
+      object: 'chat.completion.chunk',
+      created: chunk.created || meta.created,
+      model: chunk.model || meta.model
+    };
   }
+
+  // Tool call deltas ({ tool_calls: [{ index, id, function: { name, arguments } }] })
+  const toolCalls = typeof chunk === 'object' && normalizeToolCalls(chunk.tool_calls, { delta: true });
+  if (toolCalls) {
+    const delta = meta.roleSent ? { tool_calls: toolCalls } : { role: 'assistant', content: null, tool_calls: toolCalls };
+    meta.roleSent = true;
+    meta.toolCalls = true;
+    return buildCompletionChunk(meta, delta, null);
+  }
+
+  const content = typeof chunk === 'string'
+    ? chunk
+    : (chunk.content ?? chunk.delta ?? chunk.text ?? '');
+  if (!content) return null;
+
+  const delta = meta.roleSent ? { content } : { role: 'assistant', content };
+  meta.roleSent = true;
+  return buildCompletionChunk(meta, delta, null);
+}
+
+function buildCompletionChunk(meta, delta, finishReason) {
+  return {
+    id: meta.id,
+    object: 'chat.completion.chunk',
+    created: meta.created,
+    model: meta.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  };
 }
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -117,20 +427,70 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // Handled by dynamic listeners in openAndExtractContent
     return false;
   } else if (request.type === 'GET_RESULTS') {
-    getStoredResults(request.searchId).then(sendResponse);
+    getStoredResults(request.searchId, sender).then(sendResponse);
+    return true;
+  } else if (request.type === 'GET_SEARCH_SETTINGS') {
+    // Optional per-request overrides let the consent dialog preview a search
+    resolveSearchOptions(getRequestOptions(request)).then(sendResponse);
+    return true;
+  } else if (request.type === 'GET_PROVIDER_SETTINGS') {
+    getProviderSettings().then(settings => sendResponse({
+      settings,
+      providers: Object.keys(SEARCH_PROVIDERS).map(id => ({ id, name: SEARCH_PROVIDERS[id].name }))
+    }));
+    return true;
+  } else if (request.type === 'GET_DOMAIN_POLICY') {
+    getDomainPolicy().then(sendResponse);
+    return true;
+  } else if (request.type === 'GET_PERMISSION_POLICY') {
+    getPermissionPolicy().then(sendResponse);
+    return true;
+  } else if (request.type === 'WEBAPP_REGISTER' || request.type === 'WEBAPP_STATUS') {
+    updateWebAppTab(sender, request, request.type === 'WEBAPP_REGISTER').then(sendResponse);
+    return true;
+  } else if (request.type === 'GET_WEBAPP_TABS') {
+    getWebAppTabsSummary().then(sendResponse);
+    return true;
+  } else if (request.type === 'GET_NATIVE_HOST_STATUS') {
+    getNativeHostSettings().then(settings => sendResponse({ settings, status: nativeHostStatus }));
+    return true;
+  } else if ((typeof request.type === 'string' && request.type.endsWith('_API_KEY')) || request.type === 'LIST_API_KEYS') {
+    // Key management is reserved to extension pages, never content scripts
+    if (!isExtensionPage(sender)) {
+      sendResponse({ success: false, error: 'API keys can only be managed from the extension popup' });
+      return false;
+    }
+    if (request.type === 'LIST_API_KEYS') listApiKeys().then(sendResponse);
+    else if (request.type === 'CREATE_API_KEY') createApiKey(request).then(sendResponse);
+    else if (request.type === 'REVOKE_API_KEY') revokeApiKey(request.id).then(sendResponse);
+    else return false;
     return true;
   } else if (request.type === 'SEARCH_AND_EXTRACT') {
-    handleSearchRequest(request.query, request.requestId).then(sendResponse);
+    handleSearchRequest(request.query, request.requestId, getRequestOptions(request), sender).then(sendResponse);
     return true;
   } else if (request.type === 'SEARCH_ONLY') {
-    handleSearchOnly(request.query, request.requestId).then(sendResponse);
+    handleSearchOnly(request.query, request.requestId, getRequestOptions(request), sender).then(sendResponse);
     return true;
   } else if (request.type === 'EXTRACT_URLS') {
-    handleExtractionRequest(request.urls, request.requestId).then(sendResponse);
+    handleExtractionRequest(request.urls, request.requestId, getRequestOptions(request), sender).then(sendResponse);
+    return true;
+  } else if (request.type === 'EXTRACT_ACTIVE_TAB') {
+    // Only extension pages may name the tab; pages get the one being read
+    const target = isExtensionPage(sender) ? request : { selectionOnly: request.selectionOnly };
+    handleExtractActiveTab(target, getRequestOptions(request), sender).then(sendResponse);
+    return true;
+  } else if (request.type === 'SEND_ACTIVE_TAB') {
+    sendActiveTabToWebApp(request.selectionOnly).then(sendResponse);
     return true;
     } else if (request.type === 'FETCH_JSON') {
-      handleFetchJson(request.url, request.options).then(sendResponse);
+      authorizeAndFetchJson(request, sender).then(sendResponse);
       return true;
+    } else if (request.type === 'FETCH') {
+      authorizeAndFetch(request, sender).then(sendResponse);
+      return true;
+    } else if (request.type === 'CANCEL' || request.type === 'FETCH_CANCEL') {
+      sendResponse(cancelOperation(request.requestId || request.searchId, sender));
+      return false;
     }
    else if (request.type === 'CHECK_UPDATES_MANUAL') {
     checkForUpdates().then(found => sendResponse({ updateFound: found }));
@@ -138,222 +498,3202 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+// ============================================================================
+// FETCH PROXY
+// ============================================================================
+
+// Lets the webapp reach servers that don't send CORS headers (Ollama, LM
+// Studio, plain file downloads). Every request goes through the fetch
+// permission and the domain policy.
+const FETCH_RESPONSE_TYPES = ['json', 'text', 'base64', 'ndjson-stream'];
+const DEFAULT_FETCH_TIMEOUT = 60000;
+const MAX_FETCH_TIMEOUT = 600000;
+// Runtime messages are JSON-serialized; keep whole bodies well below their limit
+const MAX_FETCH_BYTES = 25 * 1024 * 1024;
+
+/**
+ * FETCH_JSON from a page: check the fetch policy before proxying
+ */
+async function authorizeAndFetchJson(request, sender) {
+  const decision = await requestPermission('fetch', sender, {
+    url: request.url,
+    method: (request.options && request.options.method) || 'GET'
+  });
+  if (decision.outcome !== 'allowed') return deniedResponse(decision);
+  return handleFetchJson(request.url, request.options);
+}
+
 /**
- * Handle generic fetch proxy to bypass CORS
+ * Legacy FETCH_JSON: body parsed as JSON (or wrapped as `{ message }`),
+ * only the status of failed responses is reported
  */
 async function handleFetchJson(url, options = {}) {
+  const result = await handleFetch({ ...options, url, responseType: 'text' });
+  if (!result.success) {
+    return { success: false, error: result.error, status: result.status, blocked: result.blocked };
+  }
+
+  let data = null;
+  if (result.data && result.data.trim()) {
+    try {
+      data = JSON.parse(result.data);
+    } catch (e) {
+      data = { message: result.data };
+    }
+  }
+
+  if (!result.ok) {
+    // If we get a 403, it's almost certainly OLLAMA_ORIGINS
+    const errorMsg = result.status === 403
+      ? 'Error 403: Ollama bloquea la conexión. Configura OLLAMA_ORIGINS="*" en tu servidor.'
+      : (data && (data.error || data.message)) || `HTTP ${result.status}`;
+
+    return { success: false, error: errorMsg, status: result.status };
+  }
+
+  return { success: true, data: data || { success: true } };
+}
+
+/**
+ * FETCH from a page or the webapp: permission first, then the request.
+ * `onChunk` receives NDJSON lines as they arrive; without it they are
+ * collected into `data`.
+ */
+async function authorizeAndFetch(request, sender, { onHead = null, onChunk = null } = {}) {
+  const decision = await requestPermission('fetch', sender, {
+    url: request.url,
+    method: request.method || 'GET'
+  });
+  if (decision.outcome !== 'allowed') return deniedResponse(decision);
+  return handleFetch(request, { sender, onHead, onChunk });
+}
+
+/**
+ * General fetch proxy.
+ * request: { url, method, headers, body, bodyEncoding ('base64'), responseType, timeout, requestId }
+ * Resolves to { success, ok, status, statusText, headers, url, redirected, data }
+ * or { success: false, error, status?, blocked?, timedOut?, cancelled? }
+ */
+async function handleFetch(request, { sender = null, onHead = null, onChunk = null } = {}) {
+  const { url, method = 'GET', headers = {}, body = null, bodyEncoding = null, requestId = null } = request;
+  const responseType = request.responseType || 'json';
+  const timeoutMs = clampInt(request.timeout, 1000, MAX_FETCH_TIMEOUT, DEFAULT_FETCH_TIMEOUT);
+
+  if (!FETCH_RESPONSE_TYPES.includes(responseType)) {
+    return { success: false, error: `Unsupported responseType: ${responseType}` };
+  }
+
+  const blocked = checkDomainPolicy(url, await getDomainPolicy(), 'fetch');
+  if (blocked) return { success: false, blocked, error: describeBlocked(blocked) };
+
+  let operation;
+  try {
+    operation = startOperation('fetch', requestId, sender);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  let timedOut = false;
+  let timeout = null;
+
+  // Streams get an idle budget per chunk, everything else a fixed one
+  const armTimeout = () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      timedOut = true;
+      operation.controller.abort();
+    }, timeoutMs);
+  };
+
+  let meta = null;
   try {
-    const { method = 'GET', headers = {}, body = null } = options;
-    
-    // Minimal headers to avoid triggering security blocks
-    const finalHeaders = { ...headers };
-    
     const fetchOptions = {
       method,
-      headers: finalHeaders,
+      headers: { ...headers },
       cache: 'no-store',
       // 'omit' credentials and 'cors' mode is standard for extension proxies
       credentials: 'omit',
-      mode: 'cors'
+      mode: 'cors',
+      signal: operation.signal
     };
 
-    if (body && method !== 'GET') {
-      fetchOptions.body = typeof body === 'string' ? body : JSON.stringify(body);
-      if (!finalHeaders['Content-Type']) {
-        finalHeaders['Content-Type'] = 'application/json';
+    if (body !== null && body !== undefined && method !== 'GET' && method !== 'HEAD') {
+      if (bodyEncoding === 'base64') {
+        fetchOptions.body = base64ToBytes(body);
+      } else if (typeof body === 'string') {
+        fetchOptions.body = body;
+      } else {
+        fetchOptions.body = JSON.stringify(body);
+        if (!hasHeader(fetchOptions.headers, 'Content-Type')) {
+          fetchOptions.headers['Content-Type'] = 'application/json';
+        }
       }
     }
 
-    const response = await fetch(url, fetchOptions);
-    
-    let text = '';
-    try {
-      text = await response.text();
-    } catch (e) {}
-    
-    let data = null;
-    if (text && text.trim()) {
-      try {
-        data = JSON.parse(text);
-      } catch (e) {
-        data = { message: text };
+    armTimeout();
+    const { response, url: finalUrl, redirected } = await fetchWithinPolicy(url, fetchOptions, 'fetch');
+
+    meta = {
+      ok: response.ok,
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(response.headers.entries()),
+      url: finalUrl,
+      redirected
+    };
+    if (onHead) onHead(meta);
+
+    let data;
+    if (responseType === 'ndjson-stream') {
+      const lines = [];
+      await readNdjson(response, (line) => {
+        armTimeout();
+        if (onChunk) onChunk(line);
+        else lines.push(line);
+      });
+      data = onChunk ? null : lines;
+    } else if (responseType === 'base64') {
+      data = bytesToBase64(await readLimitedBody(response));
+    } else {
+      const text = new TextDecoder().decode(await readLimitedBody(response));
+      if (responseType === 'text') {
+        data = text;
+      } else if (text.trim()) {
+        try {
+          data = JSON.parse(text);
+        } catch (e) {
+          return { success: false, ...meta, error: 'Response is not valid JSON', text: text.slice(0, 1000) };
+        }
+      } else {
+        data = null;
       }
     }
-    
-    if (!response.ok) {
-      // If we get a 403, it's almost certainly OLLAMA_ORIGINS
-      const errorMsg = response.status === 403 
-        ? 'Error 403: Ollama bloquea la conexión. Configura OLLAMA_ORIGINS="*" en tu servidor.' 
-        : (data && (data.error || data.message)) || `HTTP ${response.status}`;
-        
-      return { success: false, error: errorMsg, status: response.status };
-    }
 
-    return { success: true, data: data || { success: true } };
+    return { success: true, ...meta, data };
   } catch (error) {
-    return { success: false, error: error.message };
+    if (timedOut) {
+      return { success: false, ...meta, timedOut: true, error: `Request timed out after ${timeoutMs} ms` };
+    }
+    if (operation.signal.aborted) {
+      return { success: false, ...meta, cancelled: true, error: 'Request cancelled' };
+    }
+    return { success: false, ...meta, error: error.message, blocked: error.blocked };
+  } finally {
+    clearTimeout(timeout);
+    finishOperation(operation);
   }
 }
 
 /**
- * Search only (no extraction)
+ * FETCH over a port: FETCH_HEAD when headers arrive, FETCH_CHUNK per NDJSON
+ * line, then FETCH_END (or FETCH_RESPONSE for non-streamed types) or
+ * FETCH_ERROR. Disconnecting the port cancels the request.
  */
-async function handleSearchOnly(query, searchId) {
-  try {
-    const [wikipediaUrls, duckduckgoUrls] = await Promise.all([
-      searchWikipedia(query),
-      searchDuckDuckGo(query)
-    ]);
-
-    const allUrls = [...new Set([...wikipediaUrls, ...duckduckgoUrls])];
-    const results = allUrls.map(url => ({
-      title: url,
-      url: url,
-      snippet: 'Source found via web search',
-      source: url.includes('wikipedia') ? 'wikipedia' : 'duckduckgo'
-    }));
+async function handleFetchStream(port, request, sender) {
+  const requestId = request.requestId || `fetch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  let disconnected = false;
 
-    return { success: true, searchId, resultCount: results.length, results };
-  } catch (error) {
-    return { success: false, searchId, error: error.message };
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    cancelOperation(requestId, sender);
+  });
+
+  const post = (message) => {
+    if (disconnected) return;
+    try {
+      port.postMessage({ ...message, requestId });
+    } catch (e) {
+      disconnected = true;
+    }
+  };
+
+  const streaming = request.responseType === 'ndjson-stream';
+  const result = await authorizeAndFetch({ ...request, requestId }, sender, {
+    onHead: streaming ? (meta) => post({ type: 'FETCH_HEAD', ...meta }) : null,
+    onChunk: streaming ? (data) => post({ type: 'FETCH_CHUNK', data }) : null
+  });
+
+  if (!result.success) {
+    post({ type: 'FETCH_ERROR', ...result, denied: !!result.denied });
+  } else if (streaming) {
+    post({ type: 'FETCH_END', status: result.status });
+  } else {
+    post({ type: 'FETCH_RESPONSE', ...result });
   }
 }
 
+function hasHeader(headers, name) {
+  const lower = name.toLowerCase();
+  return Object.keys(headers).some(header => header.toLowerCase() === lower);
+}
+
 /**
- * Extract content from specific URLs
+ * Read a whole body, refusing anything above MAX_FETCH_BYTES
  */
-async function handleExtractionRequest(urls, requestId) {
-  try {
-    const extractionPromises = urls.map(url => openAndExtractContent(url, requestId));
-    const results = await Promise.allSettled(extractionPromises);
-    const sources = [];
+async function readLimitedBody(response) {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > MAX_FETCH_BYTES) {
+    throw new Error(`Response too large (${declared} bytes, max ${MAX_FETCH_BYTES})`);
+  }
+  if (!response.body) return new Uint8Array(0);
 
-    results.forEach((result) => {
-      if (result.status === 'fulfilled' && result.value) {
-        sources.push(result.value);
-      }
-    });
+  const reader = response.body.getReader();
+  const parts = [];
+  let total = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > MAX_FETCH_BYTES) {
+      reader.cancel();
+      throw new Error(`Response too large (max ${MAX_FETCH_BYTES} bytes)`);
+    }
+    parts.push(value);
+  }
 
-    return { success: true, requestId, resultCount: sources.length, results: { sources } };
-  } catch (error) {
-    return { success: false, requestId, error: error.message };
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
   }
+  return bytes;
 }
 
 /**
- * Main search handler
+ * Call `onLine` with each parsed line of an NDJSON body as it arrives
  */
-async function handleSearchRequest(query, searchId) {
-  try {
-    const [wikipediaUrls, duckduckgoUrls] = await Promise.all([
-      searchWikipedia(query),
-      searchDuckDuckGo(query)
-    ]);
+async function readNdjson(response, onLine) {
+  if (!response.body) return;
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
 
-    const allUrls = [...new Set([...wikipediaUrls, ...duckduckgoUrls])];
-    const urlsToOpen = allUrls.slice(0, MAX_PAGES_PER_SEARCH);
+  const flush = (line) => {
+    if (!line.trim()) return;
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`Invalid NDJSON line: ${line.slice(0, 200)}`);
+    }
+    onLine(parsed);
+  };
 
-    const extractionPromises = urlsToOpen.map(url => openAndExtractContent(url, searchId));
-    const results = await Promise.allSettled(extractionPromises);
-    const sources = [];
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(flush);
+  }
+  flush(buffer);
+}
 
-    results.forEach((result) => {
-      if (result.status === 'fulfilled' && result.value) {
-        sources.push(result.value);
-      }
-    });
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
 
-    const searchResults = { searchId, query, timestamp: Date.now(), sources, status: 'completed' };
-    return { success: true, searchId, resultCount: sources.length, results: searchResults };
-  } catch (error) {
-    return { success: false, searchId, error: error.message };
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// ============================================================================
+// OPERATIONS
+// ============================================================================
+
+// Searches, extractions and proxied fetches in flight, keyed by
+// `${origin} ${requestId}` so CANCEL only reaches the caller's own requests.
+// Each operation carries an AbortSignal that every step listens to: fetches
+// are aborted, background tabs closed and their listeners removed.
+const activeOperations = new Map();
+
+/**
+ * Register an operation. Without a requestId it can't be cancelled but
+ * still gets a signal, so callers don't need a separate code path.
+ */
+function startOperation(type, requestId, sender) {
+  const controller = new AbortController();
+  const operation = {
+    type,
+    requestId,
+    key: `${getSenderOrigin(sender) || 'extension'} ${requestId}`,
+    controller,
+    signal: controller.signal,
+    startedAt: Date.now(),
+    // Progress events go back to the frame that asked
+    tabId: sender && sender.tab ? sender.tab.id : null,
+    frameId: sender && sender.frameId !== undefined ? sender.frameId : 0
+  };
+
+  if (requestId) {
+    if (activeOperations.has(operation.key)) throw new Error(`Request ${requestId} is already running`);
+    activeOperations.set(operation.key, operation);
   }
+  return operation;
+}
+
+function finishOperation(operation) {
+  if (activeOperations.get(operation.key) === operation) activeOperations.delete(operation.key);
 }
 
 /**
- * Search Wikipedia
+ * CANCEL: abort an operation started by the same origin. The original
+ * request still resolves, with `cancelled: true`.
  */
-async function searchWikipedia(query) {
-  try {
-    const searchUrl = `https://en.wikipedia.org/w/api.php?action=opensearch&search=${encodeURIComponent(query)}&limit=3&format=json&origin=*`;
-    const response = await fetch(searchUrl);
-    const data = await response.json();
-    return data[3] || [];
-  } catch (e) { return []; }
+function cancelOperation(requestId, sender) {
+  const operation = requestId && activeOperations.get(`${getSenderOrigin(sender) || 'extension'} ${requestId}`);
+  if (!operation) return { success: false, cancelled: false, error: 'No running operation with that requestId' };
+
+  operation.controller.abort();
+  activeOperations.delete(operation.key);
+  return { success: true, cancelled: true, requestId, type: operation.type };
 }
 
 /**
- * Search DuckDuckGo Lite
+ * Send an OPERATION_PROGRESS event to the requesting tab; content.js posts
+ * it to the page as SEARCH_PROGRESS. Stages:
+ *   providers_queried, urls_found, page_started, tab_opened,
+ *   page_extracted, page_failed, page_timeout
  */
-async function searchDuckDuckGo(query) {
-  try {
-    const searchUrl = `https://lite.duckduckgo.com/lite/?q=${encodeURIComponent(query)}`;
-    const response = await fetch(searchUrl);
-    if (!response.ok) return [];
-    const html = await response.text();
-    return extractUrlsFromDDGLite(html).slice(0, 3);
-  } catch (e) { return []; }
+function emitProgress(operation, stage, details = {}) {
+  if (!operation || !operation.requestId || operation.tabId === null || operation.signal.aborted) return;
+
+  chrome.tabs.sendMessage(operation.tabId, {
+    type: 'OPERATION_PROGRESS',
+    requestId: operation.requestId,
+    operation: operation.type,
+    stage,
+    timestamp: Date.now(),
+    ...details
+  }, { frameId: operation.frameId }).catch(() => {});
 }
 
-function extractUrlsFromDDGLite(html) {
-  const urls = [];
-  const uddgRegex = /uddg=([^&"']+)/gi;
-  let match;
-  while ((match = uddgRegex.exec(html)) !== null) {
-    try {
-      const decodedUrl = decodeURIComponent(match[1]);
-      if (decodedUrl.startsWith('http') && !decodedUrl.includes('duckduckgo.com')) {
-        urls.push(decodedUrl);
-      }
-    } catch (e) {}
-  }
-  return [...new Set(urls)];
+function cancelledError() {
+  const error = new Error('Operation cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw cancelledError();
+}
+
+function timeoutError(url) {
+  return extractionError(`Timeout extracting ${url}`, 'timeout', { timedOut: true });
 }
 
 /**
- * Open URL and extract (Message-based, no storage)
+ * Error tagged with the failure reason reported in `failures`:
+ * timeout, blocked, http_error, empty_content, unsupported_content,
+ * pdf_unsupported, tab_crashed (cancelled and error are derived)
  */
-async function openAndExtractContent(url, requestId) {
-  return new Promise(async (resolve, reject) => {
-    let tabId = null;
-    const timeout = setTimeout(() => {
-      if (tabId) chrome.tabs.remove(tabId).catch(() => {});
-      reject(new Error(`Timeout extracting ${url}`));
-    }, 25000);
+function extractionError(message, reason, fields = {}) {
+  return Object.assign(new Error(message), { reason }, fields);
+}
 
-    try {
-      const tab = await chrome.tabs.create({ url, active: false });
-      tabId = tab.id;
+/**
+ * AbortSignal that fires on timeout or when `signal` (the operation) aborts.
+ * `dispose()` clears the timer and the listener.
+ */
+function withTimeout(timeoutMs, signal) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timeout = setTimeout(abort, timeoutMs);
+  if (signal) signal.addEventListener('abort', abort);
 
-      const listener = (request, sender) => {
-        if (request.type === 'CONTENT_EXTRACTED' && sender.tab && sender.tab.id === tabId) {
-          clearTimeout(timeout);
-          chrome.runtime.onMessage.removeListener(listener);
-          chrome.tabs.remove(tabId).catch(() => {});
-          resolve({
-            url,
-            title: request.data.title || url,
-            content: request.data.content || '',
-            extractedAt: Date.now(),
-            wordCount: request.data.wordCount || 0
-          });
-        }
-      };
-      chrome.runtime.onMessage.addListener(listener);
-    } catch (error) {
+  return {
+    signal: controller.signal,
+    dispose: () => {
       clearTimeout(timeout);
-      if (tabId) chrome.tabs.remove(tabId).catch(() => {});
-      reject(error);
+      if (signal) signal.removeEventListener('abort', abort);
     }
-  });
+  };
+}
+
+// ============================================================================
+// DOMAIN POLICY
+// ============================================================================
+
+const DOMAIN_POLICY_KEY = 'domainPolicy';
+
+// User-managed from the popup. Applies to every URL a page asks us to open
+// or fetch (search results, EXTRACT_URLS, FETCH), checked before any
+// tab or request is made and on every redirect hop.
+const DEFAULT_DOMAIN_POLICY = {
+  allow: [],                   // Patterns always allowed (win over block and privateNetwork)
+  block: [],                   // Patterns never opened or fetched
+  privateNetwork: 'fetch-only' // 'allow', 'fetch-only' (proxy only, e.g. Ollama) or 'block'
+};
+const PRIVATE_NETWORK_MODES = ['allow', 'fetch-only', 'block'];
+
+async function getDomainPolicy() {
+  const { [DOMAIN_POLICY_KEY]: stored = {} } = await chrome.storage.local.get(DOMAIN_POLICY_KEY);
+  const patterns = list => (Array.isArray(list) ? list : [])
+    .map(pattern => String(pattern).trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    allow: patterns(stored.allow),
+    block: patterns(stored.block),
+    privateNetwork: PRIVATE_NETWORK_MODES.includes(stored.privateNetwork)
+      ? stored.privateNetwork
+      : DEFAULT_DOMAIN_POLICY.privateNetwork
+  };
 }
 
+/**
+ * Check a URL for `use` ('extract' opens or downloads pages, 'fetch' is the
+ * proxy). Returns null when allowed, otherwise { url, reason, pattern } with
+ * reason 'blocklist', 'private_network', 'unsupported_scheme' or 'invalid_url'.
+ */
+function checkDomainPolicy(url, policy, use) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return { url, reason: 'invalid_url', pattern: null };
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { url, reason: 'unsupported_scheme', pattern: null };
+  }
+
+  if (policy.allow.some(pattern => matchesDomainPattern(parsed, pattern))) return null;
+
+  const blockedBy = policy.block.find(pattern => matchesDomainPattern(parsed, pattern));
+  if (blockedBy) return { url, reason: 'blocklist', pattern: blockedBy };
+
+  if (isPrivateHost(parsed.hostname)) {
+    const mode = policy.privateNetwork;
+    if (mode === 'block' || (mode === 'fetch-only' && use !== 'fetch')) {
+      return { url, reason: 'private_network', pattern: null };
+    }
+  }
+
+  return null;
+}
+
+async function partitionByDomainPolicy(urls, use) {
+  const policy = await getDomainPolicy();
+  const allowed = [];
+  const blocked = [];
+
+  urls.forEach((url) => {
+    const entry = checkDomainPolicy(url, policy, use);
+    if (entry) blocked.push(entry);
+    else allowed.push(url);
+  });
+
+  return { allowed, blocked };
+}
+
+/**
+ * Throw when the policy forbids `url`; the error carries the `blocked` entry
+ */
+async function assertDomainAllowed(url, use) {
+  const entry = checkDomainPolicy(url, await getDomainPolicy(), use);
+  if (entry) throw blockedError(entry);
+}
+
+function blockedError(entry) {
+  const error = new Error(describeBlocked(entry));
+  error.blocked = entry;
+  return error;
+}
+
+const MAX_REDIRECTS = 10;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * fetch() that follows redirects itself, checking every hop against the
+ * policy before requesting it. Resolves to { response, url, redirected }
+ * with the URL of the last hop.
+ */
+async function fetchWithinPolicy(url, init, use) {
+  let currentUrl = url;
+  let options = { ...init, redirect: 'manual' };
+
+  for (let hop = 0; ; hop++) {
+    const response = await fetch(currentUrl, options);
+    if (response.type !== 'opaqueredirect' && !REDIRECT_STATUSES.includes(response.status)) {
+      return { response, url: currentUrl, redirected: hop > 0 };
+    }
+    if (response.body) response.body.cancel().catch(() => {});
+    if (hop >= MAX_REDIRECTS) throw new Error(`Too many redirects fetching ${url}`);
+
+    const location = response.type === 'opaqueredirect'
+      ? await takeObservedRedirect(currentUrl)
+      : response.headers.get('location');
+    if (!location) {
+      const error = new Error(`Redirect target of ${currentUrl} is not visible, not following it`);
+      error.redirectHidden = true;
+      throw error;
+    }
+
+    const nextUrl = new URL(location, currentUrl).href;
+    await assertDomainAllowed(nextUrl, use);
+
+    // Like browsers: 303, and 301/302 after a POST, continue as a GET without body
+    const method = (options.method || 'GET').toUpperCase();
+    if ((response.status === 303 && method !== 'HEAD') || ([301, 302].includes(response.status) && method === 'POST')) {
+      const { body, ...rest } = options;
+      options = { ...rest, method: 'GET' };
+    }
+    currentUrl = nextUrl;
+  }
+}
+
+// Chrome hides the Location of a manual redirect from fetch(). webRequest
+// still reports it (without blocking), keyed here by the redirecting URL.
+const observedRedirects = new Map();
+
+if (chrome.webRequest) {
+  chrome.webRequest.onBeforeRedirect.addListener((details) => {
+    if (details.tabId !== -1 || details.initiator !== self.location.origin) return;
+    const now = Date.now();
+    observedRedirects.forEach((entry, key) => {
+      if (now - entry.at > 60 * 1000) observedRedirects.delete(key);
+    });
+    observedRedirects.set(details.url, { redirectUrl: details.redirectUrl, at: now });
+  }, { urls: ['<all_urls>'] });
+}
+
+// The event and the fetch response travel separately, so give it a moment
+async function takeObservedRedirect(url, waitMs = 2000) {
+  const deadline = Date.now() + waitMs;
+  while (true) {
+    const entry = observedRedirects.get(url);
+    if (entry) {
+      observedRedirects.delete(url);
+      return entry.redirectUrl;
+    }
+    if (Date.now() >= deadline) return null;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+function describeBlocked(entry) {
+  const detail = entry.pattern ? `${entry.reason}: ${entry.pattern}` : entry.reason;
+  return `Blocked by domain policy (${detail}): ${entry.url}`;
+}
+
+/**
+ * Wildcard patterns: `example.com` and `*.example.com` match the domain and
+ * its subdomains, `*` matches any run of characters (`192.168.*`), and a
+ * pattern with a path (`github.com/org/*`) must also match the path.
+ * Schemes and ports in patterns are ignored.
+ */
+function matchesDomainPattern(parsed, pattern) {
+  const body = pattern.replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+  const slash = body.indexOf('/');
+  const hostPattern = (slash < 0 ? body : body.slice(0, slash)).replace(/:\d+$/, '').replace(/^\*\./, '');
+  const pathPattern = slash < 0 ? null : body.slice(slash);
+
+  if (!wildcardToRegExp(hostPattern, '(?:.*\\.)?').test(parsed.hostname)) return false;
+  return pathPattern === null || wildcardToRegExp(pathPattern, '').test(parsed.pathname);
+}
+
+function wildcardToRegExp(pattern, prefix) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${prefix}${source}$`, 'i');
+}
+
+/**
+ * Loopback, RFC 1918, link-local and .local hosts. Hostnames are not
+ * resolved, so a public name pointing at a private address is not caught.
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local')) return true;
+
+  const ipv4 = /^(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(host);
+  if (ipv4) {
+    const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 169 && b === 254);
+  }
+
+  if (host.includes(':')) {
+    // IPv4-mapped addresses are normalized to hex by URL (::ffff:7f00:1)
+    const mapped = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(host);
+    if (mapped) {
+      const high = parseInt(mapped[1], 16);
+      const low = parseInt(mapped[2], 16);
+      return isPrivateHost(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    return host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host);
+  }
+
+  return false;
+}
+
+// ============================================================================
+// PERMISSIONS
+// ============================================================================
+
+const PERMISSION_POLICY_KEY = 'permissionPolicy';
+const CONSENT_GRANTS_KEY = 'consentGrants';
+
+// What pages may do through the extension: 'ask', 'allow' or 'deny' each
+//   search  - SEARCH_AND_EXTRACT (SEARCH_ONLY is only blocked by 'deny')
+//   extract - EXTRACT_URLS
+//   fetch   - FETCH / FETCH_JSON proxy
+//   chat    - CHAT_COMPLETIONS bridge to the webapp
+const DEFAULT_PERMISSION_POLICY = { search: 'ask', extract: 'ask', fetch: 'ask', chat: 'ask' };
+const PERMISSION_VALUES = ['ask', 'allow', 'deny'];
+
+/**
+ * Per-action policy from the popup. Older installs only stored
+ * `permissionMode`; 'permissive' there means allow everything.
+ */
+async function getPermissionPolicy() {
+  const stored = await chrome.storage.local.get([PERMISSION_POLICY_KEY, 'permissionMode']);
+  const base = stored.permissionMode === 'permissive'
+    ? Object.fromEntries(Object.keys(DEFAULT_PERMISSION_POLICY).map(action => [action, 'allow']))
+    : DEFAULT_PERMISSION_POLICY;
+  const policy = { ...base };
+
+  Object.entries(stored[PERMISSION_POLICY_KEY] || {}).forEach(([action, value]) => {
+    if (action in policy && PERMISSION_VALUES.includes(value)) policy[action] = value;
+  });
+
+  return policy;
+}
+
+/**
+ * Decide whether the page behind `sender` may perform `action`. With 'ask'
+ * the consent dialog is shown in the requesting tab; `details` feeds it
+ * ({ query } for search, { urls: [{ url, title }] } for extract,
+ * { url, method } for fetch, { model } for chat). Never throws.
+ */
+async function requestPermission(action, sender, details = {}) {
+  const urls = (details.urls || []).map(item => item.url);
+  const allow = (scope, approvedUrls = urls) => buildDecision(action, sender, 'allowed', {
+    scope,
+    approvedUrls,
+    rejectedUrls: urls.filter(url => !approvedUrls.includes(url))
+  });
+  const deny = reason => buildDecision(action, sender, 'denied', { reason, rejectedUrls: urls });
+
+  try {
+    const policy = await getPermissionPolicy();
+    if (policy[action] === 'allow') return allow('always');
+    if (policy[action] === 'deny') return deny('policy');
+
+    const origin = getSenderOrigin(sender);
+    if (await hasSessionGrant(origin, action)) return allow('session');
+
+    // Callers outside a tab have nowhere to show the dialog
+    if (!sender || !sender.tab) return deny('no_prompt');
+
+    const answer = await chrome.tabs.sendMessage(sender.tab.id, { type: 'REQUEST_CONSENT', action, origin, details });
+    if (!answer || answer.choice === 'deny') return deny(answer ? answer.reason || 'user' : 'no_prompt');
+
+    if (answer.choice === 'session') await addSessionGrant(origin, action);
+    return allow(answer.choice, urls.length ? answer.urls || [] : []);
+  } catch (error) {
+    console.warn(`[EdgeAI] Could not ask for ${action} permission:`, error.message);
+    return deny('no_prompt');
+  }
+}
+
+/**
+ * Second step of a search allowed once: the dialog lists the results with
+ * the first `preselected` checked. Searches allowed for the session or by
+ * policy open the first `preselected` without asking. Never throws.
+ */
+async function confirmSearchPages(decision, sender, query, results, preselected) {
+  const urls = results.map(result => result.url);
+  const approve = approvedUrls => ({
+    ...decision,
+    approvedUrls,
+    rejectedUrls: urls.filter(url => !approvedUrls.includes(url)),
+    decidedAt: Date.now()
+  });
+  const deny = reason => ({ ...decision, outcome: 'denied', scope: null, reason, approvedUrls: [], rejectedUrls: urls, decidedAt: Date.now() });
+
+  if (decision.scope !== 'once' || urls.length === 0) return approve(urls.slice(0, preselected));
+
+  try {
+    const answer = await chrome.tabs.sendMessage(sender.tab.id, {
+      type: 'REQUEST_CONSENT',
+      action: 'search_pages',
+      origin: decision.origin,
+      details: { query, urls: results.map(result => ({ url: result.url, title: result.title })), preselected }
+    });
+    if (!answer || answer.choice === 'deny') return deny(answer ? answer.reason || 'user' : 'no_prompt');
+    return approve(answer.urls || []);
+  } catch (error) {
+    console.warn('[EdgeAI] Could not ask which pages to open:', error.message);
+    return deny('no_prompt');
+  }
+}
+
+/**
+ * Decision returned with every gated response (and with denials):
+ * { action, origin, outcome, scope, reason, approvedUrls, rejectedUrls, decidedAt }
+ */
+function buildDecision(action, sender, outcome, extra = {}) {
+  return {
+    action,
+    origin: getSenderOrigin(sender),
+    outcome,
+    scope: null,   // 'once' | 'session' | 'always' when allowed
+    reason: null,  // 'user' | 'policy' | 'timeout' | 'no_prompt' when denied
+    approvedUrls: [],
+    rejectedUrls: [],
+    decidedAt: Date.now(),
+    ...extra
+  };
+}
+
+function deniedResponse(decision) {
+  return {
+    success: false,
+    denied: true,
+    error: `Permission denied: ${decision.action} (${decision.reason})`,
+    decision
+  };
+}
+
+function getSenderOrigin(sender) {
+  if (!sender) return null;
+  if (sender.origin) return sender.origin;
+  try {
+    return new URL(sender.url).origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+// "Always allow this session" grants live in storage.session: they survive
+// service worker restarts but not a browser restart
+async function hasSessionGrant(origin, action) {
+  const { [CONSENT_GRANTS_KEY]: grants = {} } = await chrome.storage.session.get(CONSENT_GRANTS_KEY);
+  return !!(grants[origin] && grants[origin].includes(action));
+}
+
+async function addSessionGrant(origin, action) {
+  const { [CONSENT_GRANTS_KEY]: grants = {} } = await chrome.storage.session.get(CONSENT_GRANTS_KEY);
+  grants[origin] = [...new Set([...(grants[origin] || []), action])];
+  await chrome.storage.session.set({ [CONSENT_GRANTS_KEY]: grants });
+}
+
+// ============================================================================
+// API KEYS
+// ============================================================================
+
+const API_KEYS_KEY = 'apiKeys';
+const API_KEY_PREFIX = 'sk-edgeai-';
+const RATE_LIMIT_WINDOW = 60000;
+
+// Keys for the CHAT_COMPLETIONS bridge, managed from the popup. Only the
+// SHA-256 of a key is stored; the key itself is returned once, on creation.
+//   { id, name, hash, prefix, origins, rateLimit, expiresAt, createdAt, lastUsed }
+//   origins   - exact origins allowed to use the key, [] for any
+//   rateLimit - requests per minute, 0 for unlimited
+//   expiresAt - timestamp, null for never
+
+// Request timestamps of the last minute per key id. Kept in memory, so the
+// window starts over when the service worker restarts.
+const apiKeyUsage = new Map();
+
+// Read-modify-write operations on the key list are serialized through this chain
+let apiKeysQueue = Promise.resolve();
+
+async function getApiKeys() {
+  const { [API_KEYS_KEY]: keys = [] } = await chrome.storage.local.get(API_KEYS_KEY);
+  return keys;
+}
+
+function updateApiKeys(mutate) {
+  const run = apiKeysQueue.then(async () => {
+    const keys = mutate(await getApiKeys());
+    await chrome.storage.local.set({ [API_KEYS_KEY]: keys });
+    return keys;
+  });
+
+  apiKeysQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Key list for the popup, without hashes
+ */
+async function listApiKeys() {
+  const keys = await getApiKeys();
+  return { success: true, keys: keys.map(toPublicApiKey) };
+}
+
+/**
+ * Create a key from the popup form ({ name, origins, rateLimit, expiresInDays }).
+ * The response carries the plaintext key; it cannot be recovered later.
+ */
+async function createApiKey({ name, origins, rateLimit, expiresInDays } = {}) {
+  try {
+    const key = API_KEY_PREFIX + bytesToHex(crypto.getRandomValues(new Uint8Array(24)));
+    const days = Number(expiresInDays) || 0;
+    const record = {
+      id: `key_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: String(name || '').trim() || 'API key',
+      hash: await hashApiKey(key),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 4),
+      origins: normalizeKeyOrigins(origins),
+      rateLimit: Math.max(0, parseInt(rateLimit, 10) || 0),
+      expiresAt: days > 0 ? Date.now() + days * 86400000 : null,
+      createdAt: Date.now(),
+      lastUsed: null
+    };
+
+    await updateApiKeys(keys => [...keys, record]);
+    return { success: true, key, apiKey: toPublicApiKey(record) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function revokeApiKey(id) {
+  let found = false;
+  await updateApiKeys(keys => keys.filter(key => {
+    if (key.id !== id) return true;
+    found = true;
+    return false;
+  }));
+  apiKeyUsage.delete(id);
+  return found ? { success: true, id } : { success: false, id, error: 'API key not found' };
+}
+
+/**
+ * Check the key of an inbound API request before it reaches the webapp.
+ * Resolves to { key } on success or { error } with an OpenAI-shaped
+ * error response (401 for bad keys and origins, 429 over the rate limit).
+ * Without any key configured every request is rejected.
+ */
+async function validateApiKey(apiKey, sender) {
+  if (typeof apiKey !== 'string' || !apiKey) {
+    return { error: apiKeyError(401, 'Missing API key. Create one in the Edge.AI extension popup.', 'invalid_api_key') };
+  }
+
+  const hash = await hashApiKey(apiKey);
+  const key = (await getApiKeys()).find(candidate => candidate.hash === hash);
+  if (!key) {
+    return { error: apiKeyError(401, 'Incorrect API key provided.', 'invalid_api_key') };
+  }
+
+  if (key.expiresAt && Date.now() >= key.expiresAt) {
+    return { error: apiKeyError(401, `API key "${key.name}" has expired.`, 'api_key_expired') };
+  }
+
+  // The local server has no origin to check, so origin-restricted keys never work there
+  if (key.origins.length && sender === NATIVE_SENDER) {
+    return {
+      error: apiKeyError(401, `API key "${key.name}" is restricted to web origins and cannot be used from the local server.`, 'origin_not_allowed')
+    };
+  }
+
+  const origin = getSenderOrigin(sender);
+  if (key.origins.length && !key.origins.includes(origin)) {
+    return { error: apiKeyError(401, `API key "${key.name}" is not allowed from origin ${origin || 'unknown'}.`, 'origin_not_allowed') };
+  }
+
+  if (!consumeRateLimit(key)) {
+    return {
+      error: apiKeyError(429, `Rate limit reached for API key "${key.name}": ${key.rateLimit} requests per minute.`, 'rate_limit_exceeded', 'requests')
+    };
+  }
+
+  updateApiKeys(keys => keys.map(candidate => candidate.id === key.id ? { ...candidate, lastUsed: Date.now() } : candidate))
+    .catch(error => console.warn('[EdgeAI] Could not update API key usage:', error));
+
+  return { key };
+}
+
+// Sliding window over the last minute; only accepted requests are counted
+function consumeRateLimit(key) {
+  if (!key.rateLimit) return true;
+
+  const now = Date.now();
+  const recent = (apiKeyUsage.get(key.id) || []).filter(time => now - time < RATE_LIMIT_WINDOW);
+  if (recent.length >= key.rateLimit) {
+    apiKeyUsage.set(key.id, recent);
+    return false;
+  }
+
+  recent.push(now);
+  apiKeyUsage.set(key.id, recent);
+  return true;
+}
+
+function apiKeyError(status, message, code, type = 'invalid_request_error') {
+  return openAiError(status, message, { type, code });
+}
+
+function isExtensionPage(sender) {
+  return !!sender && !sender.tab && sender.id === chrome.runtime.id;
+}
+
+function toPublicApiKey({ hash, ...key }) {
+  return key;
+}
+
+// Origins are compared exactly, so reduce whatever was typed to scheme://host[:port]
+function normalizeKeyOrigins(origins) {
+  const list = Array.isArray(origins) ? origins : String(origins || '').split(/[\s,]+/);
+  const normalized = list.map(value => {
+    try {
+      return new URL(String(value).trim()).origin;
+    } catch (e) {
+      return null;
+    }
+  });
+  return [...new Set(normalized.filter(origin => origin && origin !== 'null'))];
+}
+
+async function hashApiKey(key) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return bytesToHex(new Uint8Array(digest));
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// ============================================================================
+// OPENAI COMPATIBILITY
+// ============================================================================
+
+// Endpoints the inbound bridge forwards to the webapp, sent as
+// OPENAI_API_REQUEST.endpoint
+const OPENAI_ENDPOINTS = ['chat.completions', 'embeddings', 'models'];
+const CHAT_ROLES = ['system', 'developer', 'user', 'assistant', 'tool'];
+const TOOL_CHOICES = ['none', 'auto', 'required'];
+const RESPONSE_FORMATS = ['text', 'json_object', 'json_schema'];
+const MAX_TOOLS = 128;
+const FUNCTION_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Error response in the shape OpenAI clients parse:
+ * { success: false, status, error, data: { error: { message, type, param, code } } }
+ */
+function openAiError(status, message, { type = 'invalid_request_error', param = null, code = null } = {}) {
+  return {
+    success: false,
+    status,
+    error: message,
+    data: { error: { message, type, param, code } }
+  };
+}
+
+/**
+ * Check a request body against the OpenAI spec before it reaches the webapp.
+ * Returns a 400 error response, or null when the request is valid. `model`
+ * is optional: every request goes to the same webapp.
+ */
+function validateOpenAiRequest(endpoint, payload) {
+  if (!OPENAI_ENDPOINTS.includes(endpoint)) {
+    return openAiError(404, `Unknown endpoint: ${endpoint}`, { code: 'unknown_url' });
+  }
+  if (endpoint === 'models') return null;
+
+  if (!isPlainObject(payload)) {
+    return openAiError(400, 'The request body must be a JSON object.', { code: 'invalid_type' });
+  }
+  if (payload.model !== undefined && typeof payload.model !== 'string') {
+    return invalidParam('model', 'must be a string', 'invalid_type');
+  }
+
+  return endpoint === 'embeddings' ? validateEmbeddingsRequest(payload) : validateChatRequest(payload);
+}
+
+function validateChatRequest(payload) {
+  const { messages, tools, tool_choice: toolChoice, response_format: responseFormat } = payload;
+
+  if (messages === undefined) return missingParam('messages');
+  if (!Array.isArray(messages) || !messages.length) {
+    return invalidParam('messages', 'must be a non-empty array', 'invalid_type');
+  }
+  for (let i = 0; i < messages.length; i++) {
+    const message = messages[i];
+    if (!isPlainObject(message) || !CHAT_ROLES.includes(message.role)) {
+      return invalidParam(`messages[${i}].role`, `must be one of ${CHAT_ROLES.join(', ')}`);
+    }
+    if (message.role === 'tool' && typeof message.tool_call_id !== 'string') {
+      return missingParam(`messages[${i}].tool_call_id`);
+    }
+  }
+
+  if (tools !== undefined) {
+    if (!Array.isArray(tools)) return invalidParam('tools', 'must be an array', 'invalid_type');
+    if (tools.length > MAX_TOOLS) return invalidParam('tools', `must have at most ${MAX_TOOLS} items`);
+    for (let i = 0; i < tools.length; i++) {
+      const tool = tools[i];
+      if (!isPlainObject(tool) || tool.type !== 'function' || !isPlainObject(tool.function)) {
+        return invalidParam(`tools[${i}]`, "must be { type: 'function', function: { name, parameters } }");
+      }
+      if (!FUNCTION_NAME_PATTERN.test(tool.function.name || '')) {
+        return invalidParam(`tools[${i}].function.name`, 'must be 1-64 characters of a-z, A-Z, 0-9, _ or -');
+      }
+      if (tool.function.parameters !== undefined && !isPlainObject(tool.function.parameters)) {
+        return invalidParam(`tools[${i}].function.parameters`, 'must be a JSON Schema object', 'invalid_type');
+      }
+    }
+  }
+
+  if (toolChoice !== undefined) {
+    if (!tools || !tools.length) {
+      return invalidParam('tool_choice', 'is only allowed when tools are specified');
+    }
+    if (isPlainObject(toolChoice)) {
+      const name = toolChoice.type === 'function' && isPlainObject(toolChoice.function) && toolChoice.function.name;
+      if (!name || !tools.some(tool => tool.function.name === name)) {
+        return invalidParam('tool_choice', 'must name a function listed in tools');
+      }
+    } else if (!TOOL_CHOICES.includes(toolChoice)) {
+      return invalidParam('tool_choice', `must be one of ${TOOL_CHOICES.join(', ')} or { type: 'function', function: { name } }`);
+    }
+  }
+
+  if (responseFormat !== undefined) {
+    if (!isPlainObject(responseFormat) || !RESPONSE_FORMATS.includes(responseFormat.type)) {
+      return invalidParam('response_format.type', `must be one of ${RESPONSE_FORMATS.join(', ')}`);
+    }
+    if (responseFormat.type === 'json_schema') {
+      const schema = responseFormat.json_schema;
+      if (!isPlainObject(schema) || !FUNCTION_NAME_PATTERN.test(schema.name || '')) {
+        return missingParam('response_format.json_schema.name');
+      }
+      if (schema.schema !== undefined && !isPlainObject(schema.schema)) {
+        return invalidParam('response_format.json_schema.schema', 'must be a JSON Schema object', 'invalid_type');
+      }
+    }
+  }
+
+  return null;
+}
+
+function validateEmbeddingsRequest(payload) {
+  const { input, encoding_format: encodingFormat, dimensions } = payload;
+  const isTokens = value => Array.isArray(value) && value.length > 0 && value.every(Number.isInteger);
+
+  if (input === undefined) return missingParam('input');
+  const valid = (typeof input === 'string' && input.length > 0)
+    || isTokens(input)
+    || (Array.isArray(input) && input.length > 0 && (
+      input.every(item => typeof item === 'string' && item.length > 0) || input.every(isTokens)
+    ));
+  if (!valid) {
+    return invalidParam('input', 'must be a non-empty string, array of strings, array of tokens or array of token arrays');
+  }
+
+  if (encodingFormat !== undefined && !['float', 'base64'].includes(encodingFormat)) {
+    return invalidParam('encoding_format', 'must be float or base64');
+  }
+  if (dimensions !== undefined && !(Number.isInteger(dimensions) && dimensions > 0)) {
+    return invalidParam('dimensions', 'must be a positive integer');
+  }
+
+  return null;
+}
+
+function missingParam(param) {
+  return openAiError(400, `Missing required parameter: '${param}'.`, { param, code: 'missing_required_parameter' });
+}
+
+function invalidParam(param, problem, code = 'invalid_value') {
+  return openAiError(400, `Invalid '${param}': ${problem}.`, { param, code });
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Bring a webapp result into the OpenAI response shape of `endpoint`.
+ * Already-shaped results are kept and only missing fields are filled in.
+ */
+function toOpenAiResponse(endpoint, result, payload = {}) {
+  if (endpoint === 'models') return toModelList(result);
+  if (endpoint === 'embeddings') return toEmbeddingList(result, payload);
+  return toChatCompletion(result, payload);
+}
+
+// Accepts { data: [...] }, an array of models or an array of model ids
+function toModelList(result) {
+  const models = Array.isArray(result) ? result : (result && result.data) || [];
+  return {
+    object: 'list',
+    data: models
+      .map(model => typeof model === 'string' ? { id: model } : model)
+      .filter(model => model && model.id)
+      .map(model => ({ object: 'model', created: 0, owned_by: 'edge-ai', ...model }))
+  };
+}
+
+// Accepts { data: [...] }, an array of { embedding } or an array of vectors
+function toEmbeddingList(result, payload) {
+  const items = Array.isArray(result) ? result : (result && result.data) || [];
+  const inputs = [].concat(payload.input).filter(item => typeof item === 'string');
+  const promptTokens = Math.ceil(inputs.join('').length / CHARS_PER_TOKEN);
+
+  return {
+    object: 'list',
+    data: items.map((item, index) => {
+      const vector = Array.isArray(item) ? item : item.embedding;
+      return {
+        object: 'embedding',
+        index: Number.isInteger(item.index) ? item.index : index,
+        embedding: payload.encoding_format === 'base64' && Array.isArray(vector)
+          ? bytesToBase64(new Uint8Array(new Float32Array(vector).buffer))
+          : vector
+      };
+    }),
+    model: (result && result.model) || payload.model || 'edge-ai',
+    usage: (result && result.usage) || { prompt_tokens: promptTokens, total_tokens: promptTokens }
+  };
+}
+
+// Accepts a chat.completion, an assistant message ({ content, tool_calls }) or plain text
+function toChatCompletion(result, payload) {
+  const base = {
+    id: `chatcmpl-${Date.now()}${Math.random().toString(36).substr(2, 9)}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: payload.model || 'edge-ai'
+  };
+  if (result && Array.isArray(result.choices)) return { ...base, ...result };
+
+  const message = typeof result === 'string' ? { content: result } : (result && (result.message || result)) || {};
+  const toolCalls = normalizeToolCalls(message.tool_calls);
+
+  return {
+    ...base,
+    choices: [{
+      index: 0,
+      message: {
+        role: 'assistant',
+        content: message.content ?? null,
+        ...(toolCalls ? { tool_calls: toolCalls } : {})
+      },
+      finish_reason: (result && result.finish_reason) || (toolCalls ? 'tool_calls' : 'stop')
+    }],
+    ...(result && result.usage ? { usage: result.usage } : {})
+  };
+}
+
+/**
+ * Tool calls as OpenAI sends them: ids, type 'function' and arguments as a
+ * JSON string. Streamed deltas carry an `index`, and only the first delta of
+ * a call has its id and name; later ones just add argument fragments.
+ */
+function normalizeToolCalls(toolCalls, { delta = false } = {}) {
+  if (!Array.isArray(toolCalls) || !toolCalls.length) return null;
+
+  return toolCalls.map((call, index) => {
+    const fn = call.function || { name: call.name, arguments: call.arguments };
+    const args = typeof fn.arguments === 'string' ? fn.arguments : JSON.stringify(fn.arguments ?? {});
+    const id = call.id || `call_${Date.now()}${index}${Math.random().toString(36).substr(2, 6)}`;
+
+    if (!delta) return { id, type: 'function', function: { name: fn.name, arguments: args } };
+
+    const starts = !!(call.id || fn.name);
+    return {
+      index: Number.isInteger(call.index) ? call.index : index,
+      ...(starts ? { id, type: 'function' } : {}),
+      function: {
+        ...(fn.name ? { name: fn.name } : {}),
+        arguments: fn.arguments === undefined ? '' : args
+      }
+    };
+  });
+}
+
+// ============================================================================
+// NATIVE HOST
+// ============================================================================
+
+// native-host/host.js serves /v1/chat/completions, /v1/embeddings and
+// /v1/models on 127.0.0.1 for clients outside the browser (CLIs, editors) and
+// relays every request here over native messaging. Off by default: the host
+// has to be installed first (native-host/install-linux.sh).
+const NATIVE_HOST_NAME = 'es.inled.edgeai';
+const NATIVE_HOST_KEY = 'nativeHost';
+const DEFAULT_NATIVE_HOST = { enabled: false, port: 11435 };
+// Stands in for the MessageSender of requests from the local server. Compared
+// by identity: no browser sender can be this object.
+const NATIVE_SENDER = Object.freeze({ source: 'native' });
+
+let nativePort = null;
+let nativeHostStatus = { connected: false, listening: false, port: null, error: null };
+
+// AbortControllers of the requests the host is waiting on, by host requestId
+const nativeRequests = new Map();
+
+async function getNativeHostSettings() {
+  const { [NATIVE_HOST_KEY]: stored = {} } = await chrome.storage.local.get(NATIVE_HOST_KEY);
+  const port = parseInt(stored.port, 10);
+  return {
+    enabled: !!stored.enabled,
+    port: port >= 1024 && port <= 65535 ? port : DEFAULT_NATIVE_HOST.port
+  };
+}
+
+/**
+ * Connect to or disconnect from the host to match the popup settings.
+ * An open native port also keeps the service worker alive.
+ */
+async function syncNativeHost() {
+  const settings = await getNativeHostSettings();
+
+  if (!settings.enabled) {
+    if (nativePort) nativePort.disconnect();
+    resetNativeHost(null);
+    return;
+  }
+
+  if (!nativePort) {
+    try {
+      nativePort = chrome.runtime.connectNative(NATIVE_HOST_NAME);
+    } catch (error) {
+      resetNativeHost(error.message);
+      return;
+    }
+    nativePort.onMessage.addListener(handleNativeMessage);
+    nativePort.onDisconnect.addListener(() => {
+      // "Specified native messaging host not found." when it isn't installed
+      resetNativeHost(chrome.runtime.lastError ? chrome.runtime.lastError.message : 'Native host exited');
+    });
+    nativeHostStatus = { ...nativeHostStatus, connected: true, error: null };
+  }
+
+  // The host (re)binds its HTTP server on every CONFIG
+  nativePort.postMessage({ type: 'CONFIG', port: settings.port });
+}
+
+function resetNativeHost(error) {
+  nativePort = null;
+  nativeRequests.forEach(controller => controller.abort());
+  nativeRequests.clear();
+  nativeHostStatus = { connected: false, listening: false, port: null, error };
+}
+
+function postToNativeHost(message) {
+  if (!nativePort) return;
+  try {
+    nativePort.postMessage(message);
+  } catch (e) {
+    console.warn('[EdgeAI] Native host is gone:', e.message);
+  }
+}
+
+/**
+ * Messages from the host:
+ *   LISTENING { port } / SERVER_ERROR { error }
+ *   API_REQUEST { requestId, endpoint, payload, apiKey, stream }
+ *   API_CANCEL { requestId } when the HTTP client disconnects
+ * Answered with API_RESPONSE { requestId, result } or, for streams, one
+ * API_STREAM { requestId, message } per CHAT_COMPLETION_* message.
+ */
+function handleNativeMessage(message) {
+  if (message.type === 'LISTENING') {
+    nativeHostStatus = { ...nativeHostStatus, listening: true, port: message.port, error: null };
+    console.log(`[EdgeAI] Native host listening on 127.0.0.1:${message.port}`);
+  } else if (message.type === 'SERVER_ERROR') {
+    nativeHostStatus = { ...nativeHostStatus, listening: false, port: null, error: message.error };
+    console.warn('[EdgeAI] Native host could not start its server:', message.error);
+  } else if (message.type === 'API_CANCEL') {
+    const controller = nativeRequests.get(message.requestId);
+    if (controller) controller.abort();
+  } else if (message.type === 'API_REQUEST') {
+    handleNativeApiRequest(message);
+  }
+}
+
+async function handleNativeApiRequest({ requestId, endpoint, payload, apiKey, stream }) {
+  const controller = new AbortController();
+  nativeRequests.set(requestId, controller);
+
+  apiStats.inbound.active = true;
+  apiStats.inbound.lastUsed = Date.now();
+  apiStats.inbound.totalRequests++;
+
+  try {
+    if (stream && endpoint === 'chat.completions') {
+      await streamChatCompletion(payload, apiKey, {
+        sender: NATIVE_SENDER,
+        signal: controller.signal,
+        post: message => postToNativeHost({ type: 'API_STREAM', requestId, message })
+      });
+    } else {
+      const result = await handleInboundApiRequest(payload, apiKey, { endpoint, sender: NATIVE_SENDER, signal: controller.signal });
+      if (!controller.signal.aborted) postToNativeHost({ type: 'API_RESPONSE', requestId, result });
+    }
+  } finally {
+    nativeRequests.delete(requestId);
+    apiStats.inbound.active = false;
+  }
+}
+
+/**
+ * Native clients have no tab to show the consent dialog in: a valid API key
+ * stands in for 'ask', while a 'deny' chat policy still applies.
+ */
+async function getNativeClientDecision() {
+  const policy = await getPermissionPolicy();
+  return policy.chat === 'deny'
+    ? buildDecision('chat', null, 'denied', { reason: 'policy' })
+    : buildDecision('chat', null, 'allowed', { scope: 'api_key' });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[NATIVE_HOST_KEY]) syncNativeHost();
+});
+
+syncNativeHost();
+
+// ============================================================================
+// SEARCH SETTINGS
+// ============================================================================
+
+/**
+ * Collect per-request overrides. `maxResults` is accepted at the top level
+ * for compatibility with older callers.
+ */
+function getRequestOptions(request) {
+  const options = { ...(request.options || {}) };
+  if (request.maxResults !== undefined && options.maxResults === undefined) {
+    options.maxResults = request.maxResults;
+  }
+  return options;
+}
+
+/**
+ * Resolve the effective search options: defaults < stored settings < request overrides
+ */
+async function resolveSearchOptions(overrides = {}) {
+  let stored = {};
+  try {
+    const data = await chrome.storage.local.get([SETTINGS_KEY]);
+    stored = data[SETTINGS_KEY] || {};
+  } catch (e) {}
+
+  const merged = { ...DEFAULT_SEARCH_SETTINGS, ...stored };
+  Object.keys(overrides).forEach((key) => {
+    if (overrides[key] !== undefined && overrides[key] !== null) merged[key] = overrides[key];
+  });
+
+  const maxResults = clampInt(merged.maxResults, 1, 50, DEFAULT_SEARCH_SETTINGS.maxResults);
+  return {
+    ...merged,
+    maxResults,
+    maxPages: Math.min(clampInt(merged.maxPages, 1, 20, DEFAULT_SEARCH_SETTINGS.maxPages), maxResults),
+    resultsPerEngine: clampInt(merged.resultsPerEngine, 1, 20, DEFAULT_SEARCH_SETTINGS.resultsPerEngine),
+    pageTimeout: clampInt(merged.pageTimeout, 5000, 120000, DEFAULT_SEARCH_SETTINGS.pageTimeout),
+    concurrency: clampInt(merged.concurrency, 1, 10, DEFAULT_SEARCH_SETTINGS.concurrency),
+    extractionMode: EXTRACTION_MODES.includes(merged.extractionMode)
+      ? merged.extractionMode
+      : DEFAULT_SEARCH_SETTINGS.extractionMode,
+    chunking: merged.chunking === true || merged.chunking === 'true',
+    chunkTokens: clampInt(merged.chunkTokens, 64, 8192, DEFAULT_SEARCH_SETTINGS.chunkTokens),
+    chunkOverlap: clampInt(merged.chunkOverlap, 0, 1024, DEFAULT_SEARCH_SETTINGS.chunkOverlap)
+  };
+}
+
+function clampInt(value, min, max, fallback) {
+  const number = parseInt(value, 10);
+  if (Number.isNaN(number)) return fallback;
+  return Math.min(Math.max(number, min), max);
+}
+
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight.
+ * Resolves with the same shape and order as Promise.allSettled.
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+// ============================================================================
+// SEARCH PROVIDERS
+// ============================================================================
+
+// Every provider implements search(query, { limit, settings, signal }) -> [{ url, title, snippet }]
+// in rank order and throws on failure; queryProviders adds `rank` and `engine`. Parsing lives in
+// search-parsers.js so it can be exercised against saved HTML/JSON responses.
+const SEARCH_PROVIDERS = {
+  wikipedia: { name: 'Wikipedia', search: searchWikipedia },
+  duckduckgo: { name: 'DuckDuckGo Lite', search: searchDuckDuckGo },
+  searxng: { name: 'SearXNG', search: searchSearXNG },
+  brave: { name: 'Brave Search', search: searchBrave },
+  bing: { name: 'Bing', search: searchBing }
+};
+
+const DEFAULT_PROVIDER_SETTINGS = {
+  enabled: { wikipedia: true, duckduckgo: true, searxng: false, brave: false, bing: false },
+  wikipediaLanguage: 'en',
+  searxngUrl: '',   // e.g. http://192.168.1.10:8080 (JSON format must be enabled)
+  braveApiKey: ''
+};
+
+async function getProviderSettings() {
+  let stored = {};
+  try {
+    const data = await chrome.storage.local.get([PROVIDERS_KEY]);
+    stored = data[PROVIDERS_KEY] || {};
+  } catch (e) {}
+
+  return {
+    ...DEFAULT_PROVIDER_SETTINGS,
+    ...stored,
+    enabled: { ...DEFAULT_PROVIDER_SETTINGS.enabled, ...(stored.enabled || {}) }
+  };
+}
+
+/**
+ * Query every enabled provider in parallel.
+ * `options.providers` (array of ids) overrides the enabled set for one request.
+ * A failing provider contributes no hits instead of failing the search.
+ */
+async function queryProviders(query, options, signal = null) {
+  const settings = await getProviderSettings();
+  const providerIds = Array.isArray(options.providers)
+    ? options.providers.filter(id => SEARCH_PROVIDERS[id])
+    : Object.keys(SEARCH_PROVIDERS).filter(id => settings.enabled[id]);
+
+  return Promise.all(providerIds.map(async (provider) => {
+    try {
+      const hits = await SEARCH_PROVIDERS[provider].search(query, {
+        limit: options.resultsPerEngine,
+        settings,
+        signal
+      });
+      const ranked = hits
+        .filter(hit => hit && hit.url)
+        .slice(0, options.resultsPerEngine)
+        .map((hit, index) => ({
+          url: hit.url,
+          title: hit.title || hit.url,
+          snippet: hit.snippet || '',
+          rank: index + 1,
+          engine: provider
+        }));
+      return { provider, hits: ranked };
+    } catch (error) {
+      console.warn(`[EdgeAI] ${SEARCH_PROVIDERS[provider].name} search failed:`, error.message);
+      return { provider, hits: [], error: error.message };
+    }
+  }));
+}
+
+/**
+ * Search Wikipedia (any language edition)
+ */
+async function searchWikipedia(query, { limit, settings, signal }) {
+  const language = /^[a-z][a-z-]{1,11}$/.test(settings.wikipediaLanguage) ? settings.wikipediaLanguage : 'en';
+  const searchUrl = `https://${language}.wikipedia.org/w/api.php?action=opensearch&search=${encodeURIComponent(query)}&limit=${limit}&format=json&origin=*`;
+  const response = await fetch(searchUrl, { signal });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return parseWikipediaResults(await response.json());
+}
+
+/**
+ * Search DuckDuckGo Lite
+ */
+async function searchDuckDuckGo(query, { limit, signal }) {
+  const searchUrl = `https://lite.duckduckgo.com/lite/?q=${encodeURIComponent(query)}`;
+  const response = await fetch(searchUrl, { signal });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const html = await response.text();
+  return parseDDGLiteResults(html).slice(0, limit);
+}
+
+/**
+ * Search a self-hosted SearXNG instance (JSON API)
+ */
+async function searchSearXNG(query, { settings, signal }) {
+  if (!settings.searxngUrl) throw new Error('SearXNG URL not configured');
+
+  const baseUrl = settings.searxngUrl.replace(/\/+$/, '');
+  const response = await fetch(`${baseUrl}/search?q=${encodeURIComponent(query)}&format=json`, {
+    headers: { Accept: 'application/json' },
+    signal
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return parseSearXNGResults(await response.json());
+}
+
+/**
+ * Search the Brave Search API (requires a subscription token)
+ */
+async function searchBrave(query, { limit, settings, signal }) {
+  if (!settings.braveApiKey) throw new Error('Brave Search API key not configured');
+
+  const response = await fetch(`https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(query)}&count=${limit}`, {
+    headers: {
+      Accept: 'application/json',
+      'X-Subscription-Token': settings.braveApiKey
+    },
+    signal
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return parseBraveResults(await response.json());
+}
+
+/**
+ * Search Bing (HTML results page)
+ */
+async function searchBing(query, { limit, signal }) {
+  const response = await fetch(`https://www.bing.com/search?q=${encodeURIComponent(query)}&count=${limit}`, { signal });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return parseBingResults(await response.text());
+}
+
+// ============================================================================
+// RESULT MERGING
+// ============================================================================
+
+// Reciprocal rank fusion constant (Cormack et al. use 60)
+const RRF_K = 60;
+const TRACKING_PARAM_REGEX = /^(utm_.+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|yclid|_ga|_hsenc|_hsmi|ref_src)$/i;
+
+// Second-level labels that are public suffixes under country TLDs (co.uk, com.au...)
+const COUNTRY_SECOND_LEVELS = ['ac', 'co', 'com', 'edu', 'go', 'gob', 'gov', 'ne', 'net', 'or', 'org'];
+
+/**
+ * Normalize a URL for deduplication only (results keep their original URL
+ * for fetching and citing): lowercase host, desktop instead of mobile host,
+ * no tracking parameters, no fragment and no trailing slash. AMP variants
+ * fold into the article only when the URL is known to be AMP. Returns the
+ * input untouched if it cannot be parsed.
+ */
+function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return url;
+  }
+  let isAmp = false;
+
+  // Google AMP cache: https://example-com.cdn.ampproject.org/c/s/example.com/path
+  if (parsed.hostname.endsWith('.cdn.ampproject.org')) {
+    const match = /^\/[a-z]\/(s\/)?(.+)$/.exec(parsed.pathname);
+    if (match) {
+      try {
+        parsed = new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${parsed.search}`);
+        isAmp = true;
+      } catch (e) {}
+    }
+  }
+
+  // m.example.com -> example.com and en.m.wikipedia.org -> en.wikipedia.org,
+  // but never amp.dev -> dev or m.co.uk -> co.uk
+  let hostname = parsed.hostname.toLowerCase();
+  const mobile = /^(m|mobile|amp)\.(.+)$/.exec(hostname);
+  if (mobile && isRegistrableDomain(mobile[2])) {
+    hostname = mobile[2];
+    if (mobile[1] === 'amp') isAmp = true;
+  } else {
+    const inner = /^(.+)\.m\.([^.]+\.[^.]+)$/.exec(hostname);
+    if (inner && isRegistrableDomain(inner[2])) hostname = `${inner[1]}.${inner[2]}`;
+  }
+  parsed.hostname = hostname;
+  parsed.hash = '';
+
+  [...parsed.searchParams.entries()].forEach(([key, value]) => {
+    if (key === 'amp' || (key === 'outputType' && value === 'amp')) {
+      isAmp = true;
+      parsed.searchParams.delete(key);
+    } else if (TRACKING_PARAM_REGEX.test(key)) {
+      parsed.searchParams.delete(key);
+    }
+  });
+  parsed.searchParams.sort();
+
+  let pathname = parsed.pathname.replace(/\/+$/, '');
+  if (isAmp) pathname = pathname.replace(/\/amp$/, ''); // /story/amp
+  parsed.pathname = pathname || '/';
+
+  return parsed.href;
+}
+
+/**
+ * Whether `hostname` is still a registrable domain (example.com, bbc.co.uk)
+ * rather than a bare TLD or a public suffix
+ */
+function isRegistrableDomain(hostname) {
+  const labels = hostname.split('.');
+  if (labels.length < 2 || labels.some(label => !label)) return false;
+  return !(labels.length === 2 && labels[1].length === 2 && COUNTRY_SECOND_LEVELS.includes(labels[0]));
+}
+
+/**
+ * Dedupe key for a canonical URL: http/https and www. variants collapse
+ */
+function urlKey(canonicalUrl) {
+  return canonicalUrl.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/$/, '');
+}
+
+/**
+ * Merge provider hits with reciprocal rank fusion:
+ * score = sum over engines of 1 / (RRF_K + rank).
+ * Results found by several engines rise above single-engine hits.
+ */
+function fuseResults(providerResults) {
+  const merged = new Map();
+
+  providerResults.forEach(({ hits }) => {
+    hits.forEach((hit) => {
+      const key = urlKey(canonicalizeUrl(hit.url));
+      let entry = merged.get(key);
+
+      if (!entry) {
+        entry = { url: hit.url, title: hit.title, snippet: hit.snippet, engines: [], engineRanks: {}, score: 0 };
+        merged.set(key, entry);
+      }
+
+      // Hits arrive in rank order, so the first one per engine is its best
+      if (entry.engineRanks[hit.engine]) return;
+      entry.engines.push(hit.engine);
+      entry.engineRanks[hit.engine] = hit.rank;
+      entry.score += 1 / (RRF_K + hit.rank);
+
+      if (hit.url.startsWith('https:') && entry.url.startsWith('http:')) entry.url = hit.url;
+      if ((!entry.title || /^https?:\/\//.test(entry.title)) && hit.title) entry.title = hit.title;
+      if (!entry.snippet && hit.snippet) entry.snippet = hit.snippet;
+    });
+  });
+
+  return [...merged.values()]
+    .map(entry => ({ ...entry, score: Math.round(entry.score * 1e6) / 1e6 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// ============================================================================
+// SEARCH AND EXTRACTION
+// ============================================================================
+
+/**
+ * Search only (no extraction)
+ */
+async function handleSearchOnly(query, searchId, overrides = {}, sender = null) {
+  let operation = null;
+  try {
+    // Resolving results opens no page, so 'ask' does not prompt; 'deny' still blocks
+    if (sender && (await getPermissionPolicy()).search === 'deny') {
+      return { ...deniedResponse(buildDecision('search', sender, 'denied', { reason: 'policy' })), searchId };
+    }
+
+    operation = startOperation('search-only', searchId, sender);
+    const options = await resolveSearchOptions(overrides);
+    const providerResults = await queryProviders(query, options, operation.signal);
+    throwIfCancelled(operation.signal);
+    emitProgress(operation, 'providers_queried', { providers: summarizeProviders(providerResults) });
+
+    const domainPolicy = await getDomainPolicy();
+    const results = fuseResults(providerResults).slice(0, options.maxResults).map((result, index) => ({
+      title: result.title,
+      url: result.url,
+      snippet: result.snippet,
+      rank: index + 1,
+      engine: result.engines[0],
+      engines: result.engines,
+      engineRanks: result.engineRanks,
+      score: result.score,
+      source: result.engines[0], // Kept for older webapp versions
+      blocked: checkDomainPolicy(result.url, domainPolicy, 'extract') // Not extractable when set
+    }));
+
+    return { success: true, searchId, resultCount: results.length, results };
+  } catch (error) {
+    if (error.cancelled) return { success: false, cancelled: true, status: 'cancelled', searchId, error: error.message, results: [] };
+    return { success: false, searchId, error: error.message };
+  } finally {
+    if (operation) finishOperation(operation);
+  }
+}
+
+/**
+ * Extract content from specific URLs
+ */
+async function handleExtractionRequest(urls, requestId, overrides = {}, sender = null) {
+  let operation = null;
+  let blocked = [];
+  const sources = [];
+  const tracker = { completed: 0, total: 0, failures: [] };
+
+  try {
+    operation = startOperation('extract', requestId, sender);
+
+    // Blocked URLs are reported, never opened, and not offered for consent
+    const partition = await partitionByDomainPolicy(urls, 'extract');
+    urls = partition.allowed;
+    blocked = partition.blocked;
+
+    let decision = null;
+    if (sender && urls.length > 0) {
+      decision = await requestPermission('extract', sender, { urls: urls.map(url => ({ url })) });
+      if (decision.outcome !== 'allowed') return { ...deniedResponse(decision), requestId };
+      urls = decision.approvedUrls;
+    }
+
+    const options = await resolveSearchOptions(overrides);
+    throwIfCancelled(operation.signal);
+    tracker.total = urls.length;
+    const results = await mapWithConcurrency(urls, options.concurrency,
+      url => extractAndReport(url, operation, options, tracker));
+
+    results.forEach((result) => {
+      if (result.status === 'fulfilled' && result.value) {
+        sources.push(result.value);
+      }
+    });
+    throwIfCancelled(operation.signal);
+
+    const { failures } = tracker;
+    return { success: true, requestId, resultCount: sources.length, results: { sources, failures, blocked }, decision };
+  } catch (error) {
+    // Pages finished before the cancel are still returned
+    if (error.cancelled) {
+      return {
+        success: false, cancelled: true, status: 'cancelled', requestId, error: error.message,
+        resultCount: sources.length, results: { sources, failures: tracker.failures, blocked }
+      };
+    }
+    return { success: false, requestId, error: error.message };
+  } finally {
+    if (operation) finishOperation(operation);
+  }
+}
+
+/**
+ * Main search handler
+ */
+async function handleSearchRequest(query, searchId, overrides = {}, sender = null) {
+  const timestamp = Date.now();
+  const origin = getSenderOrigin(sender);
+  let operation = null;
+  let blocked = [];
+  const partialSources = [];
+  const tracker = { completed: 0, total: 0, failures: [] };
+
+  try {
+    operation = startOperation('search', searchId, sender);
+
+    // Decided before the query reaches any provider or the page sees progress
+    let decision = null;
+    if (sender) {
+      decision = await requestPermission('search', sender, { query });
+      if (decision.outcome !== 'allowed') {
+        await startSearchState(searchId, { origin, query, timestamp, status: 'denied', decision, completedAt: Date.now() });
+        return { ...deniedResponse(decision), searchId };
+      }
+    }
+    throwIfCancelled(operation.signal);
+
+    const options = await resolveSearchOptions(overrides);
+    await startSearchState(searchId, { origin, query, timestamp, status: 'searching', sources: [] });
+
+    const providerResults = await queryProviders(query, options, operation.signal);
+    throwIfCancelled(operation.signal);
+    emitProgress(operation, 'providers_queried', { providers: summarizeProviders(providerResults) });
+
+    const fused = fuseResults(providerResults).slice(0, options.maxResults);
+
+    // Results the domain policy forbids are reported and skipped
+    const domainPolicy = await getDomainPolicy();
+    const ranked = fused.filter((result) => {
+      const entry = checkDomainPolicy(result.url, domainPolicy, 'extract');
+      if (entry) blocked.push(entry);
+      return !entry;
+    });
+    let toOpen = ranked.slice(0, options.maxPages);
+    emitProgress(operation, 'urls_found', {
+      urls: ranked.map(result => ({ url: result.url, title: result.title, engines: result.engines })),
+      blocked,
+      toOpen: toOpen.length
+    });
+
+    if (decision) {
+      // Allowed once in the dialog: the user now picks the pages to open
+      decision = await confirmSearchPages(decision, sender, query, ranked, options.maxPages);
+      if (decision.outcome !== 'allowed') {
+        await saveSearchState(searchId, { status: 'denied', decision, blocked, completedAt: Date.now() });
+        return { ...deniedResponse(decision), searchId };
+      }
+      toOpen = ranked.filter(result => decision.approvedUrls.includes(result.url));
+    }
+    throwIfCancelled(operation.signal);
+    const total = toOpen.length;
+    tracker.total = total;
+
+    await saveSearchState(searchId, { status: 'extracting', progress: { completed: 0, total }, blocked, failures: [] });
+
+    // Save partial sources and failures as each page finishes so GET_RESULTS can poll them
+    const results = await mapWithConcurrency(toOpen, options.concurrency,
+      result => extractAndReport(result.url, operation, options, tracker)
+        .then((source) => {
+          if (!source) return source;
+          const enriched = { ...source, engines: result.engines, score: result.score };
+          partialSources.push(enriched);
+          return enriched;
+        })
+        .finally(() => {
+          if (operation.signal.aborted) return;
+          saveSearchState(searchId, {
+            status: 'extracting',
+            progress: { completed: tracker.completed, total },
+            sources: [...partialSources],
+            failures: [...tracker.failures]
+          });
+        }));
+    const sources = [];
+
+    results.forEach((result) => {
+      if (result.status === 'fulfilled' && result.value) {
+        sources.push(result.value);
+      }
+    });
+    throwIfCancelled(operation.signal);
+
+    const searchResults = {
+      searchId,
+      query,
+      timestamp,
+      sources,
+      failures: tracker.failures,
+      blocked,
+      status: 'completed',
+      progress: { completed: total, total },
+      completedAt: Date.now()
+    };
+    await saveSearchState(searchId, searchResults);
+    return { success: true, searchId, resultCount: sources.length, results: searchResults, decision };
+  } catch (error) {
+    // Pages finished before the cancel are kept, in state and in the response
+    if (error.cancelled) {
+      const cancelledResults = {
+        searchId,
+        query,
+        timestamp,
+        sources: [...partialSources],
+        failures: tracker.failures,
+        blocked,
+        status: 'cancelled',
+        completedAt: Date.now()
+      };
+      await saveSearchState(searchId, cancelledResults);
+      return {
+        success: false, cancelled: true, status: 'cancelled', searchId, error: error.message,
+        resultCount: partialSources.length, results: cancelledResults
+      };
+    }
+    // A duplicate searchId must not overwrite the state of the search already running
+    if (operation) {
+      await saveSearchState(searchId, { status: 'failed', error: error.message, completedAt: Date.now() });
+    }
+    return { success: false, searchId, error: error.message };
+  } finally {
+    if (operation) finishOperation(operation);
+  }
+}
+
+/**
+ * extractContent with page_started, then page_extracted, page_failed or
+ * page_timeout. `tracker` ({ completed, total, failures }) is shared by the
+ * whole operation; sources get `durationMs`, failed URLs go to `failures`.
+ */
+async function extractAndReport(url, operation, options, tracker) {
+  const startedAt = Date.now();
+  const progress = () => ({ completed: tracker.completed, total: tracker.total });
+  emitProgress(operation, 'page_started', { url, progress: progress() });
+
+  try {
+    const source = await extractContent(url, operation, options);
+    source.durationMs = Date.now() - startedAt;
+    tracker.completed++;
+    emitProgress(operation, 'page_extracted', {
+      url,
+      title: source.title,
+      wordCount: source.wordCount,
+      extractionMode: source.extractionMode,
+      durationMs: source.durationMs,
+      progress: progress()
+    });
+    return source;
+  } catch (error) {
+    const failure = describeFailure(url, error, Date.now() - startedAt);
+    tracker.failures.push(failure);
+    tracker.completed++;
+    emitProgress(operation, failure.reason === 'timeout' ? 'page_timeout' : 'page_failed', {
+      ...failure,
+      progress: progress()
+    });
+    throw error;
+  }
+}
+
+function describeFailure(url, error, durationMs) {
+  let reason = error.reason || 'error';
+  if (error.cancelled) reason = 'cancelled';
+  else if (error.blocked) reason = 'blocked';
+
+  return {
+    url,
+    reason,
+    error: error.message,
+    status: error.status || null,
+    blocked: error.blocked || null,
+    durationMs
+  };
+}
+
+function summarizeProviders(providerResults) {
+  return providerResults.map(({ provider, hits, error }) => ({
+    engine: provider,
+    count: hits.length,
+    error: error || null
+  }));
+}
+
+/**
+ * Extract a URL and, when requested, split it into chunks.
+ * `operation` (optional) cancels the extraction and receives tab_opened.
+ */
+async function extractContent(url, operation, options) {
+  const signal = operation ? operation.signal : null;
+  throwIfCancelled(signal);
+  await assertDomainAllowed(url, 'extract');
+  const source = await extractWithMode(url, operation, options);
+  if (!source.content || !source.content.trim()) {
+    throw extractionError(`No readable content found at ${url}`, 'empty_content');
+  }
+  delete source.clientRendered;
+  return options.chunking ? addChunks(source, options) : source;
+}
+
+/**
+ * Extract a URL with the requested mode.
+ * 'auto' fetches headlessly first and only opens a tab when the page looks
+ * JS-rendered or the fetch fails for content or HTTP reasons; policy
+ * refusals are final. PDFs are always parsed in the worker.
+ */
+async function extractWithMode(url, operation, options) {
+  const signal = operation ? operation.signal : null;
+  if (isPdfUrl(url)) {
+    return fetchAndExtractPdf(url, options.pageTimeout, signal);
+  }
+
+  if (options.extractionMode === 'tab') {
+    return openAndExtractContent(url, operation, options.pageTimeout);
+  }
+
+  if (options.extractionMode === 'fetch') {
+    return fetchAndExtractContent(url, options.pageTimeout, signal);
+  }
+
+  try {
+    const source = await fetchAndExtractContent(url, options.pageTimeout, signal);
+    if (source.contentType === 'application/pdf' ||
+        (!source.clientRendered && source.wordCount >= MIN_HEADLESS_WORDS)) {
+      return source;
+    }
+    console.log(`[EdgeAI] ${url} needs rendering, falling back to a tab`);
+  } catch (error) {
+    // A tab would follow the same refused redirect with the user's cookies
+    if (error.cancelled || error.blocked || error.redirectHidden) throw error;
+    console.log(`[EdgeAI] Headless extraction failed for ${url} (${error.message}), falling back to a tab`);
+  }
+
+  return openAndExtractContent(url, operation, options.pageTimeout);
+}
+
+/**
+ * Fetch the HTML in the service worker and extract it in the offscreen
+ * document. No tab is opened and no page JavaScript runs.
+ */
+async function fetchAndExtractContent(url, timeoutMs = DEFAULT_SEARCH_SETTINGS.pageTimeout, signal = null) {
+  const request = withTimeout(timeoutMs, signal);
+
+  try {
+    const { response, url: finalUrl } = await fetchWithinPolicy(url, {
+      signal: request.signal,
+      credentials: 'omit',
+      headers: { Accept: 'text/html,application/xhtml+xml;q=0.9,application/pdf;q=0.8,*/*;q=0.7' }
+    }, 'extract');
+    if (!response.ok) throw extractionError(`HTTP ${response.status} fetching ${url}`, 'http_error', { status: response.status });
+
+    const contentType = response.headers.get('content-type') || '';
+    if (/application\/pdf/i.test(contentType)) {
+      return await extractPdfFromResponse(response, url);
+    }
+    if (contentType && !/html|xml/i.test(contentType)) {
+      throw extractionError(`Unsupported content type: ${contentType}`, 'unsupported_content');
+    }
+
+    const html = await response.text();
+    await ensureOffscreenDocument();
+    const data = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      type: 'PARSE_AND_EXTRACT',
+      html,
+      url: finalUrl
+    });
+    if (!data) throw new Error('Offscreen document did not respond');
+    throwIfCancelled(signal);
+
+    return {
+      url,
+      title: data.title || url,
+      content: data.content || '',
+      markdown: data.markdown || '',
+      metadata: data.metadata || {},
+      extractedAt: Date.now(),
+      wordCount: data.wordCount || 0,
+      extractionMode: 'fetch',
+      clientRendered: !!data.clientRendered
+    };
+  } catch (error) {
+    throwIfCancelled(signal);
+    if (error.name === 'AbortError') throw timeoutError(url);
+    throw error;
+  } finally {
+    request.dispose();
+  }
+}
+
+let offscreenCreating = null;
+
+/**
+ * Create the offscreen parsing document once; concurrent callers share the creation
+ */
+async function ensureOffscreenDocument() {
+  if (chrome.runtime.getContexts) {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)]
+    });
+    if (contexts.length > 0) return;
+  }
+
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT,
+      reasons: [chrome.offscreen.Reason.DOM_PARSER],
+      justification: 'Parse fetched pages to extract their main content without opening tabs'
+    }).catch((error) => {
+      // Older Chrome versions without getContexts: the document may already exist
+      if (!/single offscreen/i.test(error.message)) throw error;
+    }).finally(() => {
+      offscreenCreating = null;
+    });
+  }
+  await offscreenCreating;
+}
+
+/**
+ * Open URL and extract (Message-based, no storage).
+ * Timeout, cancellation and success all go through `finish`, which closes
+ * the tab and removes the listeners.
+ */
+async function openAndExtractContent(url, operation = null, timeoutMs = DEFAULT_SEARCH_SETTINGS.pageTimeout) {
+  const signal = operation ? operation.signal : null;
+  throwIfCancelled(signal);
+  const policy = await getDomainPolicy();
+
+  return new Promise((resolve, reject) => {
+    let tabId = null;
+    let settled = false;
+    let requested = false;
+
+    const finish = (error, source) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeout);
+      chrome.runtime.onMessage.removeListener(listener);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (tabId) chrome.tabs.remove(tabId).catch(() => {});
+      if (error) reject(error);
+      else resolve(source);
+    };
+
+    // The cheap text and metadata pass content.js runs on every page says
+    // the page is ready; only then is the Markdown pass requested
+    const listener = (request, sender) => {
+      if (request.type !== 'CONTENT_EXTRACTED' || !sender.tab || sender.tab.id !== tabId || requested) return;
+      const blocked = checkDomainPolicy(sender.url || sender.tab.url, policy, 'extract');
+      if (blocked) {
+        finish(blockedError(blocked));
+        return;
+      }
+
+      requested = true;
+      chrome.tabs.sendMessage(tabId, { type: 'EXTRACT_NOW' })
+        .catch(() => null)
+        .then(data => finish(null, toSource(data || request.data)));
+    };
+    const toSource = data => ({
+      url,
+      title: data.title || url,
+      content: data.content || '',
+      markdown: data.markdown || '',
+      metadata: data.metadata || {},
+      extractedAt: Date.now(),
+      wordCount: data.wordCount || 0,
+      extractionMode: 'tab'
+    });
+    // The renderer crashed or the tab was closed before the content arrived
+    const onRemoved = (removedTabId) => {
+      if (removedTabId !== tabId) return;
+      tabId = null;
+      finish(extractionError(`Tab closed before ${url} was extracted`, 'tab_crashed'));
+    };
+    // Redirects and page scripts can take the tab anywhere: close it as soon
+    // as it lands on a URL the policy forbids
+    const onUpdated = (updatedTabId, changeInfo) => {
+      if (updatedTabId !== tabId || !changeInfo.url) return;
+      const blocked = checkDomainPolicy(changeInfo.url, policy, 'extract');
+      if (blocked) finish(blockedError(blocked));
+    };
+    const onAbort = () => finish(cancelledError());
+    const timeout = setTimeout(() => finish(timeoutError(url)), timeoutMs);
+
+    if (signal) signal.addEventListener('abort', onAbort);
+    chrome.runtime.onMessage.addListener(listener);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+    chrome.tabs.onUpdated.addListener(onUpdated);
+
+    chrome.tabs.create({ url, active: false }).then((tab) => {
+      tabId = tab.id;
+      // Cancelled or timed out while the tab was being created
+      if (settled) chrome.tabs.remove(tabId).catch(() => {});
+      else emitProgress(operation, 'tab_opened', { url, tabId });
+    }).catch(error => finish(extractionError(error.message, 'tab_crashed')));
+  });
+}
+
+// ============================================================================
+// ACTIVE TAB
+// ============================================================================
+
+/**
+ * Extract the page the user is reading, or only its selection.
+ * The webapp never counts as that page: when it is the active tab, the most
+ * recently used regular tab is taken instead. Content comes from the live
+ * tab, so pages behind a login work.
+ */
+async function handleExtractActiveTab({ tabId = null, selectionOnly = false } = {}, overrides = {}, sender = null) {
+  try {
+    const tab = tabId ? await chrome.tabs.get(tabId) : await findReadingTab();
+    if (!tab) throw new Error('No page to extract: open it in a tab first');
+    if (!/^https?:/i.test(tab.url || '')) {
+      throw new Error(`This page cannot be read by extensions (${tab.url || 'restricted tab'})`);
+    }
+
+    // Requests from pages need the extract permission; popup, menus and the
+    // shortcut are the user acting directly
+    if (sender) {
+      const decision = await requestPermission('extract', sender, { urls: [{ url: tab.url, title: tab.title }] });
+      if (decision.outcome !== 'allowed' || decision.approvedUrls.length === 0) {
+        return deniedResponse({ ...decision, outcome: 'denied', reason: decision.reason || 'user' });
+      }
+    }
+
+    const options = await resolveSearchOptions(overrides);
+    let source;
+
+    if (isPdfUrl(tab.url) && !selectionOnly) {
+      // The PDF viewer runs no content scripts, so the file is downloaded again
+      await assertDomainAllowed(tab.url, 'extract');
+      source = await fetchAndExtractPdf(tab.url, options.pageTimeout);
+    } else {
+      const data = await extractFromTab(tab.id, selectionOnly);
+      if (!data || !data.content) {
+        throw new Error(selectionOnly ? 'Nothing is selected on the page' : 'No readable content found on the page');
+      }
+
+      source = {
+        url: tab.url,
+        title: data.title || tab.title || tab.url,
+        content: data.content,
+        markdown: data.markdown || '',
+        metadata: data.metadata || {},
+        extractedAt: data.extractedAt || Date.now(),
+        wordCount: data.wordCount || 0,
+        extractionMode: 'active-tab',
+        selectionOnly
+      };
+    }
+
+    return { success: true, source: options.chunking ? addChunks(source, options) : source };
+  } catch (error) {
+    console.error('[EdgeAI] Active tab extraction error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Extract the active tab and deliver it to the webapp as a new source
+ * (popup button, page context menu)
+ */
+async function sendActiveTabToWebApp(selectionOnly = false, tabId = null) {
+  const result = await handleExtractActiveTab({ tabId, selectionOnly });
+  if (!result.success) return result;
+
+  const delivery = await deliverToWebApp({ type: 'PAGE_SOURCE', action: 'add', source: result.source });
+  if (!delivery.success) return delivery;
+
+  return { success: true, title: result.source.title, wordCount: result.source.wordCount };
+}
+
+async function findReadingTab() {
+  const [active] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (active && !isWebAppUrl(active.url)) return active;
+
+  const candidates = (await chrome.tabs.query({}))
+    .filter(tab => /^https?:/i.test(tab.url || '') && !isWebAppUrl(tab.url))
+    .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+  return candidates[0] || null;
+}
+
+function isWebAppUrl(url) {
+  return !!url && WEBAPP_TAB_URLS.some(pattern => url.startsWith(pattern.slice(0, -1)));
+}
+
+/**
+ * Ask the tab's content script for its content. Tabs opened before the
+ * extension was installed or reloaded have none, so the extractor is
+ * injected on demand.
+ */
+async function extractFromTab(tabId, selectionOnly) {
+  try {
+    const data = await chrome.tabs.sendMessage(tabId, { type: 'EXTRACT_NOW', selectionOnly });
+    if (data) return data;
+  } catch (error) {
+    console.log('[EdgeAI] No content script in tab, injecting extractor');
+  }
+
+  const [loaded] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => typeof extractPageContent === 'function'
+  });
+  if (!loaded || !loaded.result) {
+    await chrome.scripting.executeScript({ target: { tabId }, files: ['extractor.js'] });
+  }
+
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (onlySelection) => (onlySelection
+      ? extractSelectionContent()
+      : extractPageContent(document, location.href, { structured: true })),
+    args: [selectionOnly]
+  });
+  return injection ? injection.result : null;
+}
+
+// ============================================================================
+// WEBAPP TABS
+// ============================================================================
+
+// Edge.AI tabs announce themselves from content.js: WEBAPP_REGISTER on every
+// CONNECTION_READY and WEBAPP_STATUS whenever the webapp reports a new model
+// or busy state. The registry lives in storage.session so a restarted
+// service worker still knows the open tabs:
+//   { [tabId]: { tabId, origin, model, busy, registeredAt, updatedAt } }
+const WEBAPP_TABS_KEY = 'webappTabs';
+const AUTO_OPEN_KEY = 'autoOpenWebApp';
+// How long a request waits for an idle tab (or for an auto-opened one)
+const WEBAPP_QUEUE_TIMEOUT = 120000;
+// How long a cancelled request keeps its tab reserved when the webapp never
+// confirms (hung, or too old to know OPENAI_API_CANCEL)
+const WEBAPP_CANCEL_TIMEOUT = 15000;
+
+let webAppTabs = {};
+const webAppTabsReady = chrome.storage.session.get(WEBAPP_TABS_KEY).then((stored) => {
+  webAppTabs = { ...stored[WEBAPP_TABS_KEY], ...webAppTabs };
+}).catch(() => {});
+
+// Bridge requests sent to each tab and not answered yet. In memory: after a
+// service worker restart the requests themselves are gone too.
+const webAppLoad = new Map();
+// Requests waiting for an idle tab, oldest first
+const webAppQueue = [];
+let webAppOpening = null;
+// Requests the caller gave up on, by tab: release callback -> deadline timer.
+// They run when the webapp reports busy: false, the tab goes away or the
+// deadline passes
+const webAppCancelling = new Map();
+
+/**
+ * WEBAPP_REGISTER / WEBAPP_STATUS from content.js. Only top-level tabs on
+ * the exact webapp origins are accepted.
+ */
+async function updateWebAppTab(sender, { model, busy } = {}, register = false) {
+  const origin = getSenderOrigin(sender);
+  if (!sender.tab || sender.frameId || !WEBAPP_ORIGINS.includes(origin)) {
+    return { success: false, error: 'Not an Edge.AI tab' };
+  }
+
+  await webAppTabsReady;
+  const tabId = sender.tab.id;
+  const previous = webAppTabs[tabId];
+  const now = Date.now();
+
+  // Fields left out keep their previous value
+  webAppTabs[tabId] = {
+    tabId,
+    origin,
+    model: model === undefined ? (previous ? previous.model : null) : (typeof model === 'string' && model) || null,
+    busy: busy === undefined ? !!(previous && previous.busy) : !!busy,
+    registeredAt: register || !previous ? now : previous.registeredAt,
+    updatedAt: now
+  };
+  await saveWebAppTabs();
+
+  if (busy === false) releaseCancelledWebAppRequests(tabId);
+  drainWebAppQueue();
+  return { success: true, tabId };
+}
+
+async function unregisterWebAppTab(tabId) {
+  await webAppTabsReady;
+  if (!webAppTabs[tabId]) return;
+
+  delete webAppTabs[tabId];
+  releaseCancelledWebAppRequests(tabId);
+  webAppLoad.delete(tabId);
+  await saveWebAppTabs();
+}
+
+function saveWebAppTabs() {
+  return chrome.storage.session.set({ [WEBAPP_TABS_KEY]: webAppTabs }).catch((error) => {
+    console.warn('[EdgeAI] Could not save the webapp tab registry:', error);
+  });
+}
+
+/**
+ * Reserve a tab for one bridge request and return its id; release it with
+ * releaseWebAppTab(). Prefers an idle tab with `model` loaded, then any idle
+ * tab, the least loaded first. When every tab is busy the request waits in
+ * line. Without registered tabs, an unregistered webapp tab is used (content
+ * script from an older version), or Edge.AI is opened in a pinned background
+ * tab if the popup allows it. Throws an Error with `status` and `code`.
+ */
+async function acquireWebAppTab({ model = null, signal = null } = {}) {
+  await webAppTabsReady;
+  throwIfCancelled(signal);
+
+  const tabId = pickWebAppTab(model);
+  if (tabId !== null) return reserveWebAppTab(tabId);
+
+  if (!Object.keys(webAppTabs).length) {
+    const legacy = await findWebAppTab();
+    if (legacy) return reserveWebAppTab(legacy.id);
+
+    const { [AUTO_OPEN_KEY]: autoOpen } = await chrome.storage.local.get(AUTO_OPEN_KEY);
+    if (!autoOpen) {
+      throw webAppError('Edge AI tab not found or not active', 'webapp_unavailable');
+    }
+    openWebAppInBackground();
+  }
+
+  return waitForWebAppTab(model, signal);
+}
+
+function releaseWebAppTab(tabId) {
+  const load = (webAppLoad.get(tabId) || 1) - 1;
+  if (load > 0) webAppLoad.set(tabId, load);
+  else webAppLoad.delete(tabId);
+  drainWebAppQueue();
+}
+
+function reserveWebAppTab(tabId) {
+  webAppLoad.set(tabId, (webAppLoad.get(tabId) || 0) + 1);
+  return tabId;
+}
+
+// Most recently updated registered tab, whatever its load (null without tabs)
+async function peekWebAppTab() {
+  await webAppTabsReady;
+  const [latest] = Object.values(webAppTabs).sort((a, b) => b.updatedAt - a.updatedAt);
+  return latest ? latest.tabId : null;
+}
+
+/**
+ * Ask the webapp to stop a bridge request (OPENAI_API_CANCEL). `release`
+ * runs once it confirms with OPENAI_API_CANCELLED or a last answer (see
+ * handleInboundApiRequest), reports busy: false, or the tab goes away, and
+ * after WEBAPP_CANCEL_TIMEOUT in any case.
+ */
+function cancelWebAppRequest(tabId, requestId, release) {
+  if (!webAppCancelling.has(tabId)) webAppCancelling.set(tabId, new Map());
+  webAppCancelling.get(tabId).set(release, setTimeout(release, WEBAPP_CANCEL_TIMEOUT));
+
+  chrome.tabs.sendMessage(tabId, { type: 'OPENAI_API_CANCEL', requestId }).catch(release);
+}
+
+function forgetCancelledWebAppRequest(tabId, release) {
+  const waiting = webAppCancelling.get(tabId);
+  if (!waiting || !waiting.has(release)) return;
+  clearTimeout(waiting.get(release));
+  waiting.delete(release);
+  if (!waiting.size) webAppCancelling.delete(tabId);
+}
+
+function releaseCancelledWebAppRequests(tabId) {
+  const waiting = webAppCancelling.get(tabId);
+  if (waiting) [...waiting.keys()].forEach(release => release());
+}
+
+// Idle means not busy in the webapp and no bridge request in flight
+function pickWebAppTab(model) {
+  const idle = Object.values(webAppTabs)
+    .filter(entry => !entry.busy && !webAppLoad.get(entry.tabId))
+    .sort((a, b) => a.updatedAt - b.updatedAt);
+  const match = model && idle.find(entry => entry.model === model);
+  return (match || idle[0] || { tabId: null }).tabId;
+}
+
+function waitForWebAppTab(model, signal) {
+  return new Promise((resolve, reject) => {
+    const waiter = { model, resolve, reject, timeout: null };
+
+    const leave = (error) => {
+      clearTimeout(waiter.timeout);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      const index = webAppQueue.indexOf(waiter);
+      if (index !== -1) webAppQueue.splice(index, 1);
+      if (error) reject(error);
+    };
+    const onAbort = () => leave(cancelledError());
+
+    waiter.done = leave;
+    waiter.timeout = setTimeout(() => {
+      const message = Object.keys(webAppTabs).length
+        ? 'All Edge AI tabs are busy'
+        : 'Edge AI tab not found or not active';
+      leave(webAppError(message, 'webapp_unavailable'));
+    }, WEBAPP_QUEUE_TIMEOUT);
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    webAppQueue.push(waiter);
+  });
+}
+
+// Hand idle tabs to waiting requests in arrival order
+function drainWebAppQueue() {
+  while (webAppQueue.length) {
+    const waiter = webAppQueue[0];
+    const tabId = pickWebAppTab(waiter.model);
+    if (tabId === null) return;
+
+    waiter.done();
+    waiter.resolve(reserveWebAppTab(tabId));
+  }
+}
+
+// One pinned tab at a time, however many requests are waiting for it
+function openWebAppInBackground() {
+  if (webAppOpening) return;
+
+  console.log('[EdgeAI] Opening Edge.AI in a pinned background tab');
+  webAppOpening = openWebAppTab({ active: false, pinned: true })
+    .catch(error => console.warn('[EdgeAI] Could not open Edge.AI:', error))
+    .finally(() => { webAppOpening = null; });
+}
+
+function webAppError(message, code) {
+  return Object.assign(new Error(message), { status: 503, code });
+}
+
+/**
+ * Registry summary for the popup
+ */
+async function getWebAppTabsSummary() {
+  await webAppTabsReady;
+  const tabs = Object.values(webAppTabs).map(entry => ({
+    ...entry,
+    pending: webAppLoad.get(entry.tabId) || 0
+  }));
+  return { tabs, queued: webAppQueue.length };
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  unregisterWebAppTab(tabId);
+});
+
+// Navigating away from the webapp drops the tab; it registers again if it comes back
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url || !webAppTabs[tabId]) return;
+  let origin = null;
+  try {
+    origin = new URL(changeInfo.url).origin;
+  } catch (e) {
+    // Not a URL we can parse: treat as leaving
+  }
+  if (origin !== webAppTabs[tabId].origin) unregisterWebAppTab(tabId);
+});
+
+// ============================================================================
+// WEBAPP DELIVERY
+// ============================================================================
+
+// Registered tabs first (most recently active), then any tab on a webapp origin
+async function findWebAppTab() {
+  await webAppTabsReady;
+  const registered = Object.values(webAppTabs).sort((a, b) => b.updatedAt - a.updatedAt);
+  for (const entry of registered) {
+    try {
+      return await chrome.tabs.get(entry.tabId);
+    } catch (e) {
+      unregisterWebAppTab(entry.tabId);
+    }
+  }
+
+  const tabs = await chrome.tabs.query({ url: WEBAPP_TAB_URLS });
+  return tabs[0] || null;
+}
+
+/**
+ * Push a message to the webapp (PAGE_SOURCE, SEARCH_QUERY), opening Edge.AI
+ * when no tab exists, and bring it to the front
+ */
+async function deliverToWebApp(message) {
+  try {
+    const tab = (await findWebAppTab()) || (await openWebAppTab());
+    const received = await sendToWebAppTab(tab.id, message);
+    if (!received) throw new Error('Edge.AI tab is not connected. Reload it and try again.');
+
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+    return { success: true };
+  } catch (error) {
+    console.error('[EdgeAI] Delivery to webapp failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function openWebAppTab({ active = true, pinned = false } = {}) {
+  console.log('[EdgeAI] Opening Edge.AI');
+  const tab = await chrome.tabs.create({ url: WEBAPP_URL, active, pinned });
+
+  await new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timeout);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    };
+    const listener = (tabId, changeInfo) => {
+      if (tabId === tab.id && changeInfo.status === 'complete') done();
+    };
+    const timeout = setTimeout(done, WEBAPP_OPEN_TIMEOUT);
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+
+  return tab;
+}
+
+/**
+ * The content script of a freshly opened tab may not be listening yet, so
+ * delivery is retried for a few seconds
+ */
+async function sendToWebAppTab(tabId, message, attempts = 10) {
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    try {
+      const reply = await chrome.tabs.sendMessage(tabId, message);
+      if (reply && reply.received) return true;
+    } catch (error) {
+      // Content script not injected yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  return false;
+}
+
+// ============================================================================
+// CONTEXT MENUS AND COMMANDS
+// ============================================================================
+
+const CONTEXT_MENU_TITLES = {
+  en: {
+    'edgeai-ask-selection': 'Ask Edge.AI about "%s"',
+    'edgeai-search-selection': 'Search the web for "%s"',
+    'edgeai-extract-link': 'Extract linked page into Edge.AI',
+    'edgeai-send-page': 'Send this page to Edge.AI'
+  },
+  es: {
+    'edgeai-ask-selection': 'Preguntar a Edge.AI sobre "%s"',
+    'edgeai-search-selection': 'Buscar en la web "%s"',
+    'edgeai-extract-link': 'Extraer la página enlazada en Edge.AI',
+    'edgeai-send-page': 'Enviar esta página a Edge.AI'
+  }
+};
+
+const CONTEXT_MENU_CONTEXTS = {
+  'edgeai-ask-selection': ['selection'],
+  'edgeai-search-selection': ['selection'],
+  'edgeai-extract-link': ['link'],
+  'edgeai-send-page': ['page']
+};
+
+chrome.runtime.onInstalled.addListener(() => {
+  const lang = chrome.i18n.getUILanguage().startsWith('es') ? 'es' : 'en';
+
+  chrome.contextMenus.removeAll(() => {
+    Object.entries(CONTEXT_MENU_CONTEXTS).forEach(([id, contexts]) => {
+      chrome.contextMenus.create({ id, title: CONTEXT_MENU_TITLES[lang][id], contexts });
+    });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenuAction(info, tab).then((result) => {
+    if (!result.success) notifyActionError(result.error);
+  });
+});
+
+// The shortcut is configurable in chrome://extensions/shortcuts
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== 'send-to-edgeai') return;
+
+  // The reading tab is resolved like the popup does, skipping the webapp
+  sendSelectionOrPage().then((result) => {
+    if (!result.success) notifyActionError(result.error);
+  });
+});
+
+async function handleContextMenuAction(info, tab) {
+  const tabId = tab ? tab.id : null;
+
+  switch (info.menuItemId) {
+    case 'edgeai-ask-selection':
+      return askAboutSelection(tabId, info);
+
+    case 'edgeai-search-selection':
+      return deliverToWebApp({
+        type: 'SEARCH_QUERY',
+        query: (info.selectionText || '').trim(),
+        pageUrl: info.pageUrl || null
+      });
+
+    case 'edgeai-extract-link':
+      return extractLinkToWebApp(info.linkUrl);
+
+    case 'edgeai-send-page':
+      return sendActiveTabToWebApp(false, tabId);
+
+    default:
+      return { success: true };
+  }
+}
+
+/**
+ * Send the selection as the subject of a question. When the page cannot be
+ * scripted (PDF viewer, store pages) the plain selection text is used.
+ */
+async function askAboutSelection(tabId, info = {}) {
+  const result = tabId ? await handleExtractActiveTab({ tabId, selectionOnly: true }) : { success: false };
+  let source = result.success ? result.source : null;
+
+  if (!source) {
+    const text = (info.selectionText || '').trim();
+    if (!text) return { success: false, error: result.error || 'Nothing is selected on the page' };
+
+    source = {
+      url: info.pageUrl || '',
+      title: info.pageUrl || '',
+      content: text,
+      markdown: '',
+      metadata: {},
+      extractedAt: Date.now(),
+      wordCount: text.split(/\s+/).filter(Boolean).length,
+      extractionMode: 'active-tab',
+      selectionOnly: true
+    };
+  }
+
+  return deliverToWebApp({ type: 'PAGE_SOURCE', action: 'ask', source });
+}
+
+async function extractLinkToWebApp(url) {
+  try {
+    const options = await resolveSearchOptions();
+    const source = await extractContent(url, null, options);
+    return deliverToWebApp({ type: 'PAGE_SOURCE', action: 'add', source });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Keyboard command: ask about the selection if there is one, otherwise
+ * send the whole page
+ */
+async function sendSelectionOrPage(tabId = null) {
+  const selection = await handleExtractActiveTab({ tabId, selectionOnly: true });
+  if (selection.success) {
+    return deliverToWebApp({ type: 'PAGE_SOURCE', action: 'ask', source: selection.source });
+  }
+  return sendActiveTabToWebApp(false, tabId);
+}
+
+function notifyActionError(message) {
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icon.png',
+    title: 'Edge.AI',
+    message: message || 'No se pudo completar la acción',
+    priority: 1
+  });
+}
+
+// ============================================================================
+// PDF EXTRACTION
+// ============================================================================
+
+// PDFs are downloaded here and parsed by pdf-text.js; anything it cannot read is
+// reported as pdf_unsupported
+const MAX_PDF_BYTES = 30 * 1024 * 1024;
+
+function isPdfUrl(url) {
+  try {
+    return /\.pdf$/i.test(new URL(url).pathname);
+  } catch (e) {
+    return false;
+  }
+}
+
+async function fetchAndExtractPdf(url, timeoutMs = DEFAULT_SEARCH_SETTINGS.pageTimeout, signal = null) {
+  const request = withTimeout(timeoutMs, signal);
+
+  try {
+    const { response } = await fetchWithinPolicy(url, { signal: request.signal, credentials: 'omit' }, 'extract');
+    if (!response.ok) throw extractionError(`HTTP ${response.status} fetching ${url}`, 'http_error', { status: response.status });
+    return await extractPdfFromResponse(response, url);
+  } catch (error) {
+    throwIfCancelled(signal);
+    if (error.name === 'AbortError') throw timeoutError(url);
+    throw error;
+  } finally {
+    request.dispose();
+  }
+}
+
+/**
+ * Build a source from a PDF response. `content` joins the pages with blank
+ * lines and `pages` gives each page's [charStart, charEnd) in `content`.
+ */
+async function extractPdfFromResponse(response, url) {
+  const declaredLength = Number(response.headers.get('content-length')) || 0;
+  if (declaredLength > MAX_PDF_BYTES) {
+    throw extractionError(`PDF too large (${declaredLength} bytes)`, 'pdf_unsupported');
+  }
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  if (bytes.length > MAX_PDF_BYTES) throw extractionError(`PDF too large (${bytes.length} bytes)`, 'pdf_unsupported');
+
+  let pdf;
+  try {
+    pdf = await parsePdf(bytes);
+  } catch (error) {
+    throw extractionError(error.message, 'pdf_unsupported');
+  }
+  let content = '';
+  const pages = [];
+
+  pdf.pages.forEach((text, index) => {
+    if (content) content += '\n\n';
+    const charStart = content.length;
+    content += text;
+    pages.push({ page: index + 1, charStart, charEnd: content.length });
+  });
+
+  if (!content.trim()) {
+    throw extractionError('PDF has no extractable text (scanned document or unsupported fonts)', 'pdf_unsupported');
+  }
+
+  const fileName = decodeURIComponent(new URL(response.url || url).pathname.split('/').pop() || '');
+  return {
+    url,
+    title: pdf.info.title || fileName || url,
+    content,
+    markdown: '',
+    metadata: {
+      canonicalUrl: null,
+      siteName: null,
+      description: pdf.info.subject || null,
+      author: pdf.info.author || null,
+      publishedAt: pdf.info.createdAt || null,
+      modifiedAt: pdf.info.modifiedAt || null,
+      language: pdf.info.language || null,
+      image: null,
+      type: 'pdf',
+      openGraph: {},
+      twitter: {},
+      structuredData: []
+    },
+    extractedAt: Date.now(),
+    wordCount: content.split(/\s+/).filter(word => word.length > 0).length,
+    extractionMode: 'pdf',
+    contentType: 'application/pdf',
+    pageCount: pages.length,
+    pages
+  };
+}
+
+// ============================================================================
+// CHUNKING
+// ============================================================================
+
+// Rough token estimate shared by all models we target (~4 characters per token)
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Attach RAG chunks to a source. Offsets refer to `source[source.chunkedField]`:
+ * the Markdown when available, the plain content otherwise. PDF chunks also
+ * carry the page they start on.
+ */
+function addChunks(source, options) {
+  const chunkedField = source.markdown ? 'markdown' : 'content';
+  let chunks = chunkText(source[chunkedField] || '', source.url, {
+    targetTokens: options.chunkTokens,
+    overlapTokens: options.chunkOverlap
+  });
+
+  if (source.pages) {
+    chunks = chunks.map((chunk) => {
+      const page = source.pages.find(p => chunk.charStart < p.charEnd) || source.pages[source.pages.length - 1];
+      return { ...chunk, page: page ? page.page : null };
+    });
+  }
+
+  return { ...source, chunkedField, chunks };
+}
+
+/**
+ * Split Markdown on its structure: every heading starts a new chunk, blocks
+ * (paragraphs, lists, tables, code fences) are packed up to `targetTokens`,
+ * and consecutive chunks of the same section share their last sentences (or
+ * words, if a sentence is too long) up to `overlapTokens`.
+ * Each chunk's text is exactly text.slice(charStart, charEnd).
+ */
+function chunkText(text, url, { targetTokens, overlapTokens }) {
+  const maxChars = targetTokens * CHARS_PER_TOKEN;
+  // Pieces of an oversized block leave room for the overlap
+  const pieceChars = Math.max(1, targetTokens - Math.max(0, overlapTokens)) * CHARS_PER_TOKEN;
+  const segments = [];
+  const headingPath = [];
+
+  splitMarkdownBlocks(text).forEach(([start, end]) => {
+    const heading = /^(#{1,6}) +(.+)$/.exec(text.slice(start, end));
+    if (heading) {
+      headingPath.length = heading[1].length - 1;
+      headingPath[heading[1].length - 1] = heading[2].trim();
+    }
+
+    const path = headingPath.filter(Boolean);
+    const ranges = end - start > maxChars ? splitOversized(text, start, end, pieceChars) : [[start, end]];
+    ranges.forEach(([rangeStart, rangeEnd]) => {
+      segments.push({
+        start: rangeStart,
+        end: rangeEnd,
+        tokens: Math.ceil((rangeEnd - rangeStart) / CHARS_PER_TOKEN),
+        heading: !!heading,
+        headingPath: path
+      });
+    });
+  });
+
+  const idPrefix = `c_${hashString(url || text.slice(0, 200))}`;
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const isBody = segment => !segment.heading && !segment.overlap;
+
+  const flush = (overlapBudget) => {
+    const body = current.find(isBody);
+    if (!body) return;
+
+    const charStart = current[0].start;
+    const charEnd = current[current.length - 1].end;
+    chunks.push({
+      id: `${idPrefix}_${chunks.length}`,
+      url,
+      headingPath: body.headingPath,
+      text: text.slice(charStart, charEnd),
+      charStart,
+      charEnd
+    });
+
+    // The next chunk starts with the last sentences (or words) of this one,
+    // never reaching back past a heading or over the whole body
+    const bodyStart = Math.max(charStart, ...current.filter(segment => segment.heading).map(segment => segment.end));
+    current = [];
+    currentTokens = 0;
+    if (overlapBudget <= 0) return;
+
+    const overlapStart = findOverlapStart(text, Math.max(bodyStart, charEnd - overlapBudget * CHARS_PER_TOKEN), charEnd);
+    if (overlapStart > bodyStart) {
+      const tokens = Math.ceil((charEnd - overlapStart) / CHARS_PER_TOKEN);
+      current = [{ start: overlapStart, end: charEnd, tokens, heading: false, overlap: true, headingPath: body.headingPath }];
+      currentTokens = tokens;
+    }
+  };
+
+  segments.forEach((segment) => {
+    const hasBody = current.some(isBody);
+    if (segment.heading && hasBody) {
+      flush(0);
+    } else if (hasBody && currentTokens + segment.tokens > targetTokens) {
+      // Shrink the overlap rather than lose it when the next block is large
+      flush(Math.min(overlapTokens, targetTokens - segment.tokens));
+    }
+    current.push(segment);
+    currentTokens += segment.tokens;
+  });
+  flush(0);
+
+  return chunks;
+}
+
+/**
+ * First sentence start in [from, to), else the first word start, else `to`
+ */
+function findOverlapStart(text, from, to) {
+  const window = text.slice(from, to);
+  const boundary = /(?:[.!?]["')\]]*\s+|\n\s*)(?=\S)/.exec(window) || /\s+(?=\S)/.exec(window);
+  return boundary ? from + boundary.index + boundary[0].length : to;
+}
+
+/**
+ * Return [start, end) ranges of the blocks separated by blank lines.
+ * Fenced code blocks are kept whole even if they contain blank lines.
+ */
+function splitMarkdownBlocks(text) {
+  const blocks = [];
+  const lineRegex = /[^\n]*(\n|$)/g;
+  let blockStart = -1;
+  let blockEnd = -1;
+  let fence = null;
+  let match;
+
+  while ((match = lineRegex.exec(text)) !== null && match[0].length > 0) {
+    const lineStart = match.index;
+    const line = match[0].replace(/\n$/, '');
+    const lineEnd = lineStart + line.length;
+    const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+      blockEnd = lineEnd;
+    } else if (!line.trim()) {
+      if (blockStart >= 0) blocks.push([blockStart, blockEnd]);
+      blockStart = -1;
+    } else {
+      if (blockStart < 0) blockStart = lineStart;
+      blockEnd = lineEnd;
+      if (fenceMatch) fence = fenceMatch[1];
+    }
+  }
+
+  if (blockStart >= 0) blocks.push([blockStart, blockEnd]);
+  return blocks;
+}
+
+/**
+ * Cut a block longer than `maxChars`, preferring line, then sentence, then word breaks
+ */
+function splitOversized(text, start, end, maxChars) {
+  const ranges = [];
+  let position = start;
+
+  while (end - position > maxChars) {
+    const window = text.slice(position, position + maxChars);
+    let cut = window.lastIndexOf('\n');
+    if (cut < maxChars / 2) {
+      const sentence = /[.!?](\s)(?!.*[.!?]\s)/s.exec(window);
+      cut = sentence ? sentence.index + 1 : -1;
+    }
+    if (cut < maxChars / 2) cut = window.lastIndexOf(' ');
+    if (cut <= 0) cut = maxChars;
+
+    ranges.push([position, position + cut]);
+    position += cut;
+    while (position < end && /\s/.test(text[position])) position++;
+  }
+
+  if (position < end) ranges.push([position, end]);
+  return ranges;
+}
+
+function hashString(value) {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// ============================================================================
+// RESULT STORE
+// ============================================================================
+
+const RESULT_TTL = 3600000; // 1 hour
+const MAX_STORED_SEARCHES = 20;
+const MAX_STORE_BYTES = 4 * 1024 * 1024; // chrome.storage.local allows 10 MB in total
+const RESULT_CLEANUP_INTERVAL = 300000;
+
+// Read-modify-write operations on the store are serialized through this chain
+let resultStoreQueue = Promise.resolve();
+
+/**
+ * Replace whatever was stored under `searchId` (an earlier search, possibly
+ * from another origin, may have used the same id). `state.origin` is the
+ * site that started the search: only it can read the state back.
+ */
+function startSearchState(searchId, state) {
+  if (!searchId) return Promise.resolve();
+
+  return updateResultStore((store) => {
+    store[searchId] = { searchId, sources: [], ...state, updatedAt: Date.now() };
+  }).catch((error) => {
+    console.warn('[EdgeAI] Could not save search state:', error);
+  });
+}
+
+/**
+ * Merge `patch` into the stored state of a search.
+ * Never throws: a storage failure must not break the search itself.
+ */
+function saveSearchState(searchId, patch) {
+  if (!searchId) return Promise.resolve();
+
+  return updateResultStore((store) => {
+    const previous = store[searchId] || { searchId, sources: [] };
+    store[searchId] = { ...previous, ...patch, searchId, updatedAt: Date.now() };
+  }).catch((error) => {
+    console.warn('[EdgeAI] Could not save search state:', error);
+  });
+}
+
+/**
+ * Return the stored state of a search (used by GET_RESULTS polling).
+ * Sites only see their own searches; another site's searchId reads as
+ * not found. Extension pages see them all.
+ */
+async function getStoredResults(searchId, sender) {
+  try {
+    const data = await chrome.storage.local.get([STORAGE_KEY]);
+    const entry = (data[STORAGE_KEY] || {})[searchId];
+
+    if (!entry || (!isExtensionPage(sender) && entry.origin !== getSenderOrigin(sender))) {
+      return { success: false, searchId, status: 'not_found', error: 'No results stored for this search' };
+    }
+
+    return {
+      success: true,
+      searchId,
+      status: entry.status,
+      resultCount: (entry.sources || []).length,
+      results: entry
+    };
+  } catch (error) {
+    return { success: false, searchId, error: error.message };
+  }
+}
+
+function updateResultStore(mutate) {
+  const run = resultStoreQueue.then(async () => {
+    const data = await chrome.storage.local.get([STORAGE_KEY]);
+    const store = data[STORAGE_KEY] || {};
+    mutate(store);
+    await writeResultStore(pruneResultStore(store, MAX_STORED_SEARCHES));
+  });
+
+  resultStoreQueue = run.catch(() => {});
+  return run;
+}
+
+async function writeResultStore(store) {
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEY]: store });
+  } catch (e) {
+    // Quota exceeded: keep only the most recent half of the searches and retry
+    console.warn('[EdgeAI] Quota error, evicting old search results...');
+    const keep = Math.max(1, Math.floor(Object.keys(store).length / 2));
+    await chrome.storage.local.set({ [STORAGE_KEY]: pruneResultStore(store, keep) });
+  }
+}
+
+/**
+ * Drop expired entries, then the oldest ones beyond the count and size budgets.
+ * The most recently updated search is always kept.
+ */
+function pruneResultStore(store, maxEntries) {
+  const now = Date.now();
+  const entries = Object.values(store)
+    .filter(entry => now - (entry.updatedAt || 0) < RESULT_TTL)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(0, maxEntries);
+
+  const pruned = {};
+  let bytes = 0;
+  for (const entry of entries) {
+    const size = JSON.stringify(entry).length;
+    if (bytes > 0 && bytes + size > MAX_STORE_BYTES) break;
+    pruned[entry.searchId] = entry;
+    bytes += size;
+  }
+  return pruned;
+}
+
+function cleanupResultStore() {
+  return updateResultStore(() => {}).catch((error) => {
+    console.warn('[EdgeAI] Result store cleanup failed:', error);
+  });
+}
+
+setInterval(cleanupResultStore, RESULT_CLEANUP_INTERVAL);
+cleanupResultStore();
+
 // ============================================================================
 // UPDATE CHECKER
 // ============================================================================
 
 const UPDATE_API_URL = 'https://extupdater.inled.es/api/updates.json';
 const UPDATE_CHECK_INTERVAL = 600000; 
+const UPDATE_NOTIFICATION_ID = 'edgeai-update';
 
 async function checkForUpdates() {
   try {
@@ -372,12 +3712,12 @@ async function checkForUpdates() {
       try {
         await chrome.storage.local.set({ pendingUpdate: updateInfo });
       } catch (e) {
-        console.warn('[EdgeAI] Quota error, clearing storage...');
-        await chrome.storage.local.clear();
+        console.warn('[EdgeAI] Quota error, evicting stored search results...');
+        await chrome.storage.local.remove(STORAGE_KEY);
         await chrome.storage.local.set({ pendingUpdate: updateInfo });
       }
 
-      chrome.notifications.create({
+      chrome.notifications.create(UPDATE_NOTIFICATION_ID, {
         type: 'basic',
         iconUrl: 'icon.png',
         title: 'Actualización disponible',
@@ -394,7 +3734,8 @@ async function checkForUpdates() {
 }
 
 // Handle notification click
-chrome.notifications.onClicked.addListener(async () => {
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (notificationId !== UPDATE_NOTIFICATION_ID) return;
   const data = await chrome.storage.local.get(['pendingUpdate']);
   if (data.pendingUpdate && data.pendingUpdate.url) {
     chrome.tabs.create({ url: data.pendingUpdate.url });
@@ -2,31 +2,140 @@
  * Content Script - Edge.AI Browser Extension
  *
  * Responsibilities:
- * 1. Auto-detect Edge.AI webapp (edge.inled.es or localhost:4321)
- * 2. Establish connection with webapp via window.postMessage
+ * 1. Auto-detect Edge.AI webapp (exact origins in WEBAPP_ORIGINS)
+ * 2. Hand the webapp a private MessageChannel port after CONNECTION_READY;
+ *    every later message in either direction goes over that port
  * 3. Listen for search requests from webapp
  * 4. Extract content from web pages for RAG processing
+ *    (the heuristics live in extractor.js, loaded before this script)
  */
 
 // Configuration
-const ALLOWED_ORIGINS = [
+// Compared whole: only these origins can talk to the extension through this script
+const WEBAPP_ORIGINS = [
   'https://edge.inled.es',
   'http://localhost:4321',
   'https://localhost:4321',
-  'https://hosted.inled.es',
-  'http://192.168.',
-  'https://192.168.'
+  'https://hosted.inled.es'
 ];
+const PROTOCOL_VERSION = 3;
 
 let permissionMode = 'ask'; // 'ask' or 'permissive'
 let isWebApp = false;
+// Our end of the channel handed to the webapp; null until the handshake
+let webAppPort = null;
+// One channel per page load: after the first CONNECT, only a CONNECT that
+// carries this token (sent with CONNECTION_READY) gets a new one
+let reconnectToken = null;
+let settingsLoaded = Promise.resolve();
+// Last model and busy state reported by the webapp (CONNECT / WEBAPP_STATUS),
+// registered with the background so the API bridge can pick an idle tab
+let webAppStatus = { model: null, busy: false };
+
+// Unanswered consent dialogs count as a denial
+const CONSENT_TIMEOUT = 120000;
+let consentQueue = Promise.resolve();
+
+const CONSENT_TEXT = {
+  en: {
+    titles: {
+      search: 'This site wants to search the web',
+      search_pages: 'Choose the pages to open',
+      extract: 'This site wants to read these pages',
+      fetch: 'This site wants to send a request through Edge.AI',
+      chat: 'This site wants to use your Edge.AI model'
+    },
+    explain: {
+      search: 'The query will be sent to the search engines. You will then choose which results are opened.',
+      search_pages: 'The checked pages will be opened in the background and their content sent to the AI:',
+      extract: 'The checked pages will be opened and their content sent to the site:',
+      fetch: 'The request is made by the extension, without the browser\'s cross-origin protections.',
+      chat: 'Messages will be answered by the model loaded in your Edge.AI tab.'
+    },
+    noResults: 'There are no pages to open.',
+    allowOnce: 'Allow once',
+    openChecked: 'Open checked pages',
+    allowSession: 'Always allow this session',
+    deny: 'Deny'
+  },
+  es: {
+    titles: {
+      search: 'Este sitio quiere buscar en la web',
+      search_pages: 'Elige las páginas que se abrirán',
+      extract: 'Este sitio quiere leer estas páginas',
+      fetch: 'Este sitio quiere hacer una petición a través de Edge.AI',
+      chat: 'Este sitio quiere usar tu modelo de Edge.AI'
+    },
+    explain: {
+      search: 'La consulta se enviará a los buscadores. Después elegirás qué resultados se abren.',
+      search_pages: 'Las páginas marcadas se abrirán en segundo plano y su contenido se enviará a la IA:',
+      extract: 'Las páginas marcadas se abrirán y su contenido se enviará al sitio:',
+      fetch: 'La petición la hace la extensión, sin las protecciones de origen cruzado del navegador.',
+      chat: 'Los mensajes los responderá el modelo cargado en tu pestaña de Edge.AI.'
+    },
+    noResults: 'No hay páginas que abrir.',
+    allowOnce: 'Permitir una vez',
+    openChecked: 'Abrir las páginas marcadas',
+    allowSession: 'Permitir durante la sesión',
+    deny: 'Denegar'
+  }
+};
+
+const CONSENT_STYLES = `
+  .backdrop {
+    position: fixed; inset: 0; z-index: 2147483647;
+    display: flex; align-items: center; justify-content: center;
+    background: rgba(0, 0, 0, 0.6);
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+  .dialog {
+    width: min(560px, calc(100vw - 32px)); max-height: calc(100vh - 64px);
+    display: flex; flex-direction: column; gap: 12px;
+    background: #2f2f2f; color: #ececec;
+    border: 1px solid #3f3f3f; border-radius: 12px;
+    padding: 20px; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5);
+  }
+  h2 { margin: 0; font-size: 16px; }
+  .query {
+    padding: 8px 12px; border-radius: 8px;
+    background: #3f3f3f; font-size: 14px; word-break: break-word;
+  }
+  .origin { font-size: 12px; opacity: 0.7; word-break: break-all; }
+  .explain { margin: 0; font-size: 12px; opacity: 0.8; }
+  [hidden] { display: none !important; }
+  .results { list-style: none; margin: 0; padding: 0; overflow-y: auto; }
+  .results label {
+    display: flex; gap: 10px; align-items: flex-start;
+    padding: 8px 4px; border-bottom: 1px solid #3f3f3f; cursor: pointer;
+  }
+  .results input { margin-top: 2px; accent-color: #28e518; }
+  .results span { display: flex; flex-direction: column; gap: 2px; min-width: 0; }
+  .results strong { font-size: 13px; font-weight: 600; }
+  .results small { font-size: 11px; opacity: 0.6; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .actions { display: flex; gap: 8px; justify-content: flex-end; flex-wrap: wrap; }
+  button {
+    padding: 8px 14px; border-radius: 8px; border: 1px solid #4a4a4a;
+    background: #3f3f3f; color: #ececec; font-size: 13px; font-weight: 600; cursor: pointer;
+  }
+  button.once { background: #28e518; border-color: #28e518; color: #000; }
+  button:disabled { opacity: 0.4; cursor: not-allowed; }
+`;
+
+// Messages pushed by the extension (pages, searches) wait until the webapp
+// has sent its first PING on the channel, so a freshly opened tab does not
+// miss them
+const WEBAPP_READY_TIMEOUT = 5000;
+let webAppReady = false;
+const pendingDeliveries = [];
+
+// FETCH_PROXY_REQUESTs in flight: requestId -> port to the background
+const activeFetchPorts = new Map();
 
 /**
  * Check if current page is the Edge.AI webapp
  */
 function checkIfWebApp() {
-  const currentOrigin = window.location.origin;
-  isWebApp = ALLOWED_ORIGINS.some(origin => currentOrigin.startsWith(origin));
+  isWebApp = WEBAPP_ORIGINS.includes(window.location.origin);
 
   if (isWebApp) {
     console.log('[EdgeAI Content] ✅ Running on Edge.AI webapp');
@@ -43,35 +152,89 @@ function checkIfWebApp() {
  */
 function establishConnection() {
   // Load permission mode from storage
-  chrome.storage.local.get(['permissionMode'], (result) => {
+  settingsLoaded = chrome.storage.local.get(['permissionMode']).then((result) => {
     permissionMode = result.permissionMode || 'ask';
+  }).catch(() => {});
 
-    // Send CONNECTION_READY message to webapp
-    window.postMessage({
-      source: 'edgeai-extension',
-      type: 'CONNECTION_READY',
-      data: {
-        permissionMode,
-        version: chrome.runtime.getManifest().version
-      }
-    }, '*');
+  // Tells a webapp that loaded before us to send its CONNECT; no port here
+  window.postMessage({
+    source: 'edgeai-extension',
+    type: 'EXTENSION_READY',
+    data: { version: chrome.runtime.getManifest().version, protocol: PROTOCOL_VERSION }
+  }, window.location.origin);
+}
 
-    console.log('[EdgeAI Content] 🔗 Connection established with webapp');
-  });
+/**
+ * Handshake: post CONNECTION_READY to this exact origin with a fresh
+ * MessageChannel port and the token needed to ask for another one.
+ * Reconnecting closes the previous channel.
+ */
+function openWebAppChannel(token) {
+  if (webAppPort) webAppPort.close();
+
+  const channel = new MessageChannel();
+  webAppPort = channel.port1;
+  webAppPort.onmessage = (event) => handleWebAppMessage(event.data);
+
+  window.postMessage({
+    source: 'edgeai-extension',
+    type: 'CONNECTION_READY',
+    data: {
+      permissionMode,
+      version: chrome.runtime.getManifest().version,
+      protocol: PROTOCOL_VERSION,
+      reconnectToken: token
+    }
+  }, window.location.origin, [channel.port2]);
+
+  chrome.runtime.sendMessage({ type: 'WEBAPP_REGISTER', ...webAppStatus }).catch(() => {});
+  console.log('[EdgeAI Content] 🔗 Connection channel sent to webapp');
 }
 
 /**
- * Listen for messages from webapp
+ * Keep the { model, busy } fields the webapp reports; missing ones are unchanged
  */
-window.addEventListener('message', async (event) => {
-  // Only accept messages from same window
-  if (event.source !== window) return;
+function setWebAppStatus(data) {
+  if (!data || typeof data !== 'object') return;
+  if ('model' in data) webAppStatus.model = typeof data.model === 'string' ? data.model : null;
+  if ('busy' in data) webAppStatus.busy = !!data.busy;
+}
 
-  const message = event.data;
+/**
+ * The window only carries the handshake: the first CONNECT from the webapp's
+ * own origin gets the channel, later ones need the reconnect token, and
+ * anything else is ignored
+ */
+window.addEventListener('message', (event) => {
+  if (!isWebApp || event.source !== window || event.origin !== window.location.origin) return;
 
-  // Check if it's a webapp message
+  const message = event.data;
   if (!message || message.source !== 'edgeai-webapp') return;
 
+  if (message.type === 'CONNECT') {
+    const data = message.data && typeof message.data === 'object' ? message.data : {};
+    if (reconnectToken && data.token !== reconnectToken) {
+      console.warn('[EdgeAI Content] Ignored CONNECT: the channel was already handed out');
+      return;
+    }
+
+    // Claimed right away, so a second CONNECT can't slip in while settings load
+    const token = crypto.randomUUID();
+    reconnectToken = token;
+    // CONNECT may carry { model, busy }; the registration sends them along
+    setWebAppStatus(data);
+    settingsLoaded.then(() => openWebAppChannel(token));
+  } else {
+    console.warn('[EdgeAI Content] Ignored', message.type, 'sent outside the connection channel');
+  }
+});
+
+/**
+ * Messages from the webapp, received on the connection channel
+ */
+function handleWebAppMessage(message) {
+  if (!message || !message.type) return;
+
   console.log('[EdgeAI Content] 📨 Received from webapp:', message.type);
 
   switch (message.type) {
@@ -79,6 +242,11 @@ window.addEventListener('message', async (event) => {
       handlePing();
       break;
 
+    case 'WEBAPP_STATUS':
+      setWebAppStatus(message.data);
+      chrome.runtime.sendMessage({ type: 'WEBAPP_STATUS', ...webAppStatus }).catch(() => {});
+      break;
+
     case 'SEARCH_REQUEST':
       handleSearchRequest(message.data);
       break;
@@ -95,17 +263,33 @@ window.addEventListener('message', async (event) => {
       handleFetchRequest(message.data);
       break;
 
+    case 'FETCH_PROXY_REQUEST':
+      handleFetchProxyRequest(message.data);
+      break;
+
+    case 'CANCEL_REQUEST':
+    case 'FETCH_CANCEL':
+      handleCancelRequest(message.data);
+      break;
+
+    case 'EXTRACT_ACTIVE_TAB_REQUEST':
+      handleExtractActiveTabRequest(message.data);
+      break;
+
     case 'OPENAI_API_RESPONSE':
     case 'OPENAI_API_STREAM_CHUNK':
     case 'OPENAI_API_ERROR':
-      // Forward responses from webapp to background script
+    case 'OPENAI_API_CANCELLED':
+      // Forward responses from webapp to background script.
+      // Fields are flattened so background can correlate by requestId
+      // ({ requestId, result } / { requestId, chunk } / { requestId, error }).
       chrome.runtime.sendMessage({
-        type: message.type,
-        data: message.data
+        ...message.data,
+        type: message.type
       });
       break;
   }
-});
+}
 
 /**
  * Handle generic fetch request via background
@@ -121,130 +305,217 @@ async function handleFetchRequest(data) {
     requestId
   }, (response) => {
     if (chrome.runtime.lastError) {
-      window.postMessage({
-        source: 'edgeai-extension',
-        type: 'FETCH_ERROR',
-        data: { requestId, error: chrome.runtime.lastError.message }
-      }, '*');
+      postToWebApp('FETCH_ERROR', { requestId, error: chrome.runtime.lastError.message });
+      return;
+    }
+
+    if (response && response.denied) {
+      postDenied('FETCH_DENIED', requestId, response);
       return;
     }
 
     if (response && response.success) {
-      window.postMessage({
-        source: 'edgeai-extension',
-        type: 'FETCH_RESPONSE',
-        data: { requestId, results: response.data }
-      }, '*');
+      postToWebApp('FETCH_RESPONSE', { requestId, results: response.data });
     } else {
-      window.postMessage({
-        source: 'edgeai-extension',
-        type: 'FETCH_ERROR',
-        data: { requestId, error: response?.error || 'Fetch failed' }
-      }, '*');
+      postToWebApp('FETCH_ERROR', { requestId, error: response?.error || 'Fetch failed', blocked: response?.blocked || null });
     }
   });
 }
 
 /**
- * Handle PING from webapp
+ * Handle a full-fidelity fetch (status, headers, text/base64/NDJSON stream).
+ * Every request gets its own port, so NDJSON lines are relayed as
+ * FETCH_CHUNK while the response is still arriving.
  */
-function handlePing() {
-  console.log('[EdgeAI Content] 🏓 Responding to PING');
+function handleFetchProxyRequest(data) {
+  const { requestId, ...request } = data || {};
+  console.log('[EdgeAI Content] 🌐 Fetch proxy request:', request.url, request.responseType || 'json');
 
-  // Send PONG
-  window.postMessage({
-    source: 'edgeai-extension',
-    type: 'PONG',
-    data: {
-      version: chrome.runtime.getManifest().version
+  if (!requestId || activeFetchPorts.has(requestId)) {
+    postToWebApp('FETCH_ERROR', { requestId, error: 'A unique requestId is required' });
+    return;
+  }
+
+  let port;
+  try {
+    port = chrome.runtime.connect({ name: 'edgeai-fetch' });
+  } catch (error) {
+    postToWebApp('FETCH_ERROR', { requestId, error: error.message });
+    return;
+  }
+  activeFetchPorts.set(requestId, port);
+
+  const close = () => {
+    activeFetchPorts.delete(requestId);
+    port.disconnect();
+  };
+
+  port.onMessage.addListener((message) => {
+    const { type, ...payload } = message;
+
+    if (type === 'FETCH_ERROR' && payload.denied) {
+      close();
+      postDenied('FETCH_DENIED', requestId, payload);
+    } else if (type === 'FETCH_ERROR' || type === 'FETCH_END') {
+      close();
+      postToWebApp(type, payload);
+    } else if (type === 'FETCH_RESPONSE') {
+      close();
+      postToWebApp('FETCH_PROXY_RESPONSE', payload);
+    } else {
+      postToWebApp(type, payload);
     }
-  }, '*');
+  });
 
-  // Also send CONNECTION_READY to establish connection
-  if (isWebApp) {
-    window.postMessage({
-      source: 'edgeai-extension',
-      type: 'CONNECTION_READY',
-      data: {
-        permissionMode,
-        version: chrome.runtime.getManifest().version
+  port.onDisconnect.addListener(() => {
+    if (!activeFetchPorts.has(requestId)) return;
+    activeFetchPorts.delete(requestId);
+    postToWebApp('FETCH_ERROR', { requestId, error: 'Extension disconnected' });
+  });
+
+  port.postMessage({ type: 'FETCH', requestId, ...request });
+}
+
+/**
+ * Cancel a search, extraction or proxied fetch. The original request then
+ * ends with SEARCH_CANCELLED or FETCH_ERROR { cancelled: true }.
+ */
+function handleCancelRequest(data) {
+  const { requestId } = data || {};
+  console.log('[EdgeAI Content] ⏹️ Cancel request:', requestId);
+
+  try {
+    chrome.runtime.sendMessage({ type: 'CANCEL', requestId }, (response) => {
+      if (chrome.runtime.lastError) {
+        postToWebApp('CANCEL_RESPONSE', { requestId, cancelled: false, error: chrome.runtime.lastError.message });
+        return;
       }
-    }, '*');
-    console.log('[EdgeAI Content] 🔗 Sent CONNECTION_READY in response to PING');
-  } else {
-    // If not already connected, establish connection
-    checkIfWebApp();
+      postToWebApp('CANCEL_RESPONSE', { requestId, cancelled: !!(response && response.cancelled), error: response?.error });
+    });
+  } catch (error) {
+    postToWebApp('CANCEL_RESPONSE', { requestId, cancelled: false, error: error.message });
   }
 }
 
 /**
- * Handle search request from webapp
+ * Post to the webapp over the connection channel. Nothing is ever posted
+ * to the window, where other scripts and frames could read it.
  */
-async function handleSearchRequest(data) {
-  const { requestId, query, maxResults } = data;
+function postToWebApp(type, data) {
+  if (!webAppPort) {
+    console.warn('[EdgeAI Content] No connection channel, dropped', type);
+    return false;
+  }
+  webAppPort.postMessage({ source: 'edgeai-extension', type, data });
+  return true;
+}
 
-  console.log('[EdgeAI Content] 🔍 Search request:', query);
+/**
+ * Handle a request for the page the user is reading (or its selection)
+ */
+function handleExtractActiveTabRequest(data) {
+  const { requestId, selectionOnly = false, options } = data || {};
+  console.log('[EdgeAI Content] 📑 Active tab request', selectionOnly ? '(selection only)' : '');
 
   try {
-    // Check permission
-    const allowed = await checkPermission(query);
-
-    if (!allowed) {
-      console.log('[EdgeAI Content] ❌ Search denied by user');
-      window.postMessage({
-        source: 'edgeai-extension',
-        type: 'SEARCH_DENIED',
-        data: {
+    chrome.runtime.sendMessage({
+      type: 'EXTRACT_ACTIVE_TAB',
+      selectionOnly,
+      options
+    }, (response) => {
+      if (response && response.denied) {
+        postDenied('PAGE_SOURCE_DENIED', requestId, response);
+        return;
+      }
+
+      if (chrome.runtime.lastError || !response || !response.success) {
+        postToWebApp('PAGE_SOURCE_ERROR', {
           requestId,
-          reason: 'User denied permission'
-        }
-      }, '*');
-      return;
-    }
+          error: chrome.runtime.lastError?.message || response?.error || 'Extraction failed'
+        });
+        return;
+      }
+
+      postToWebApp('PAGE_SOURCE', { requestId, source: response.source });
+    });
+  } catch (error) {
+    const isInvalidated = error.message && error.message.includes('Extension context invalidated');
+    postToWebApp('PAGE_SOURCE_ERROR', {
+      requestId,
+      error: isInvalidated ? 'Extension was reloaded. Please refresh the page.' : error.message
+    });
+  }
+}
+
+/**
+ * Handle PING from webapp
+ */
+function handlePing() {
+  console.log('[EdgeAI Content] 🏓 Responding to PING');
+  flushDeliveries();
 
-    // Forward to background script to perform search
+  postToWebApp('PONG', {
+    version: chrome.runtime.getManifest().version,
+    permissionMode
+  });
+}
+
+/**
+ * Handle search request from webapp.
+ * The background applies the search policy: in 'ask' mode it shows the
+ * consent dialog in this tab before opening anything.
+ */
+async function handleSearchRequest(data) {
+  const { requestId, query, maxResults, options } = data;
+
+  console.log('[EdgeAI Content] 🔍 Search request:', query);
+
+  try {
     console.log('[EdgeAI Content] 📤 Forwarding to background script...');
     chrome.runtime.sendMessage({
       type: 'SEARCH_AND_EXTRACT',
       query,
       requestId,
-      maxResults: maxResults || 10
+      maxResults, // Falls back to the popup settings when omitted
+      options
     }, (response) => {
       console.log('[EdgeAI Content] 📥 Response from background:', response);
 
       if (chrome.runtime.lastError) {
         console.error('[EdgeAI Content] Search error:', chrome.runtime.lastError);
-        window.postMessage({
-          source: 'edgeai-extension',
-          type: 'SEARCH_ERROR',
-          data: {
-            requestId,
-            error: chrome.runtime.lastError.message
-          }
-        }, '*');
+        postToWebApp('SEARCH_ERROR', {
+          requestId,
+          error: chrome.runtime.lastError.message
+        });
+        return;
+      }
+
+      if (response && response.denied) {
+        console.log('[EdgeAI Content] ❌ Search denied:', response.decision.reason);
+        postDenied('SEARCH_DENIED', requestId, response);
+        return;
+      }
+
+      if (response && response.cancelled) {
+        postCancelled(requestId, response.results);
         return;
       }
 
       if (response && response.success) {
         console.log('[EdgeAI Content] ✅ Search completed:', response.results.sources.length, 'results');
-        window.postMessage({
-          source: 'edgeai-extension',
-          type: 'SEARCH_RESPONSE',
-          data: {
-            requestId,
-            results: response.results.sources
-          }
-        }, '*');
+        postToWebApp('SEARCH_RESPONSE', {
+          requestId,
+          results: response.results.sources,
+          failures: response.results.failures || [], // Pages that could not be extracted, with the reason
+          blocked: response.results.blocked || [], // URLs refused by the domain policy
+          decision: response.decision
+        });
       } else {
         console.error('[EdgeAI Content] Search failed:', response?.error);
-        window.postMessage({
-          source: 'edgeai-extension',
-          type: 'SEARCH_ERROR',
-          data: {
-            requestId,
-            error: response?.error || 'Unknown error'
-          }
-        }, '*');
+        postToWebApp('SEARCH_ERROR', {
+          requestId,
+          error: response?.error || 'Unknown error'
+        });
       }
     });
 
@@ -259,59 +530,76 @@ async function handleSearchRequest(data) {
       console.warn('[EdgeAI Content] ⚠️ Extension context invalidated - page needs refresh');
     }
 
-    window.postMessage({
-      source: 'edgeai-extension',
-      type: 'SEARCH_ERROR',
-      data: {
-        requestId,
-        error: errorMessage
-      }
-    }, '*');
+    postToWebApp('SEARCH_ERROR', {
+      requestId,
+      error: errorMessage
+    });
   }
 }
 
+/**
+ * Report a policy denial. Every capability uses the same payload:
+ * { requestId, action, reason, error, decision }
+ */
+function postDenied(type, requestId, response) {
+  postToWebApp(type, {
+    requestId,
+    action: response.decision.action,
+    reason: response.decision.reason,
+    error: response.error,
+    decision: response.decision
+  });
+}
+
+/**
+ * A cancelled search or extraction still hands back the pages it finished
+ */
+function postCancelled(requestId, { sources = [], failures = [], blocked = [] } = {}) {
+  postToWebApp('SEARCH_CANCELLED', { requestId, results: sources, failures, blocked });
+}
+
 /**
  * Handle search only request (no confirmation needed usually as it doesn't open tabs)
  */
 async function handleSearchOnlyRequest(data) {
-  const { requestId, query } = data;
+  const { requestId, query, maxResults, options } = data;
   console.log('[EdgeAI Content] 🔍 Search ONLY request:', query);
 
   try {
     chrome.runtime.sendMessage({
       type: 'SEARCH_ONLY',
       query,
-      requestId
+      requestId,
+      maxResults,
+      options
     }, (response) => {
       // Check for lastError (async errors)
       if (chrome.runtime.lastError) {
         console.error('[EdgeAI Content] Search error:', chrome.runtime.lastError);
-        window.postMessage({
-          source: 'edgeai-extension',
-          type: 'SEARCH_ERROR',
-          data: {
-            requestId,
-            error: chrome.runtime.lastError.message
-          }
-        }, '*');
+        postToWebApp('SEARCH_ERROR', {
+          requestId,
+          error: chrome.runtime.lastError.message
+        });
+        return;
+      }
+
+      if (response && response.denied) {
+        postDenied('SEARCH_DENIED', requestId, response);
+        return;
+      }
+
+      if (response && response.cancelled) {
+        postCancelled(requestId, {});
         return;
       }
 
       if (response && response.success) {
-        window.postMessage({
-          source: 'edgeai-extension',
-          type: 'SEARCH_RESPONSE',
-          data: {
-            requestId,
-            results: response.results
-          }
-        }, '*');
+        postToWebApp('SEARCH_RESPONSE', {
+          requestId,
+          results: response.results
+        });
       } else {
-        window.postMessage({
-          source: 'edgeai-extension',
-          type: 'SEARCH_ERROR',
-          data: { requestId, error: response?.error || 'Search failed' }
-        }, '*');
+        postToWebApp('SEARCH_ERROR', { requestId, error: response?.error || 'Search failed' });
       }
     });
   } catch (error) {
@@ -319,248 +607,211 @@ async function handleSearchOnlyRequest(data) {
     console.error('[EdgeAI Content] Search request error:', error);
     const isInvalidated = error.message && error.message.includes('Extension context invalidated');
 
-    window.postMessage({
-      source: 'edgeai-extension',
-      type: 'SEARCH_ERROR',
-      data: {
-        requestId,
-        error: isInvalidated ? 'Extension was reloaded. Please refresh the page.' : error.message
-      }
-    }, '*');
+    postToWebApp('SEARCH_ERROR', {
+      requestId,
+      error: isInvalidated ? 'Extension was reloaded. Please refresh the page.' : error.message
+    });
   }
 }
 
 /**
- * Handle extraction request (needs permission if strict)
+ * Handle extraction request (the background applies the extract policy)
  */
 async function handleExtractUrlsRequest(data) {
-  const { requestId, urls } = data;
+  const { requestId, urls, options } = data;
   console.log('[EdgeAI Content] 📄 Extract URLs request:', urls.length);
 
   try {
     chrome.runtime.sendMessage({
       type: 'EXTRACT_URLS',
       urls,
-      requestId
+      requestId,
+      options
     }, (response) => {
       if (chrome.runtime.lastError) {
         console.error('[EdgeAI Content] Extraction error:', chrome.runtime.lastError);
-        window.postMessage({
-          source: 'edgeai-extension',
-          type: 'SEARCH_ERROR',
-          data: {
-            requestId,
-            error: chrome.runtime.lastError.message
-          }
-        }, '*');
+        postToWebApp('SEARCH_ERROR', {
+          requestId,
+          error: chrome.runtime.lastError.message
+        });
+        return;
+      }
+
+      if (response && response.denied) {
+        postDenied('SEARCH_DENIED', requestId, response);
+        return;
+      }
+
+      if (response && response.cancelled) {
+        postCancelled(requestId, response.results);
         return;
       }
 
       if (response && response.success) {
-        window.postMessage({
-          source: 'edgeai-extension',
-          type: 'SEARCH_RESPONSE',
-          data: {
-            requestId,
-            results: response.results.sources
-          }
-        }, '*');
+        postToWebApp('SEARCH_RESPONSE', {
+          requestId,
+          results: response.results.sources,
+          failures: response.results.failures || [], // Pages that could not be extracted, with the reason
+          blocked: response.results.blocked || [], // URLs refused by the domain policy
+          decision: response.decision
+        });
       } else {
-        window.postMessage({
-          source: 'edgeai-extension',
-          type: 'SEARCH_ERROR',
-          data: { requestId, error: response?.error || 'Extraction failed' }
-        }, '*');
+        postToWebApp('SEARCH_ERROR', { requestId, error: response?.error || 'Extraction failed' });
       }
     });
   } catch (error) {
     console.error('[EdgeAI Content] Extraction request error:', error);
     const isInvalidated = error.message && error.message.includes('Extension context invalidated');
 
-    window.postMessage({
-      source: 'edgeai-extension',
-      type: 'SEARCH_ERROR',
-      data: {
-        requestId,
-        error: isInvalidated ? 'Extension was reloaded. Please refresh the page.' : error.message
-      }
-    }, '*');
+    postToWebApp('SEARCH_ERROR', {
+      requestId,
+      error: isInvalidated ? 'Extension was reloaded. Please refresh the page.' : error.message
+    });
   }
 }
 
 /**
- * Check if user grants permission for search
+ * Show the consent modal in a closed shadow root, so neither the page styles
+ * nor page scripts can reach it. Requests are shown one at a time.
+ * Resolves { choice: 'once' | 'session' | 'deny', urls, reason }.
  */
-async function checkPermission(query) {
-  // If in permissive mode, always allow
-  if (permissionMode === 'permissive') {
-    console.log('[EdgeAI Content] ✅ Permissive mode enabled, auto-allowing');
-    return true;
-  }
-
-  // Ask user for permission
-  return new Promise((resolve) => {
-    const confirmed = confirm(
-      `Edge.AI wants to perform a web search:\n\n"${query}"\n\n` +
-      `This will:\n` +
-      `• Search Google for relevant pages\n` +
-      `• Extract content from those pages\n` +
-      `• Send content to the AI for analysis\n\n` +
-      `Allow this search?`
-    );
-
-    resolve(confirmed);
-  });
+function showConsentDialog(action, origin, details = {}) {
+  const dialog = consentQueue.then(() => renderConsentDialog(action, origin, details));
+  consentQueue = dialog.catch(() => {});
+  return dialog;
 }
 
-/**
- * Extract page content for RAG processing
- */
-function extractPageContent() {
-  const result = {
-    title: document.title,
-    url: window.location.href,
-    content: '',
-    wordCount: 0,
-    extractedAt: Date.now()
-  };
-
-  try {
-    // Get the main content
-    const content = extractMainContent();
-
-    // Clean and process the text
-    result.content = cleanText(content);
-    result.wordCount = countWords(result.content);
-
-    console.log(`[EdgeAI Content] Extracted ${result.wordCount} words from ${result.url}`);
-
-    return result;
-
-  } catch (error) {
-    console.error('[EdgeAI Content] Extraction error:', error);
-    return result;
-  }
-}
-
-/**
- * Extract main content using multiple strategies
- */
-function extractMainContent() {
-  let content = '';
-
-  // Strategy 1: Look for main content areas (semantic HTML)
-  const mainSelectors = [
-    'main',
-    'article',
-    '[role="main"]',
-    '.main-content',
-    '#main-content',
-    '#content',
-    '.content',
-    '.article-content',
-    '.post-content'
-  ];
-
-  for (const selector of mainSelectors) {
-    const element = document.querySelector(selector);
-    if (element) {
-      content = extractTextFromElement(element);
-      if (content.length > 500) {
-        return content;
-      }
-    }
-  }
-
-  // Strategy 2: Wikipedia-specific extraction
-  if (window.location.hostname.includes('wikipedia.org')) {
-    const wikiContent = document.querySelector('#mw-content-text');
-    if (wikiContent) {
-      return extractTextFromElement(wikiContent);
-    }
-  }
-
-  // Strategy 3: Remove common non-content elements and extract from body
-  const body = document.body.cloneNode(true);
+function renderConsentDialog(action, origin, details) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['language'], (stored) => {
+      const lang = stored.language || (navigator.language.startsWith('es') ? 'es' : 'en');
+      const text = CONSENT_TEXT[lang] || CONSENT_TEXT.en;
+      const urls = details.urls || [];
+      const preselected = details.preselected ?? urls.length;
+
+      const host = document.createElement('div');
+      const root = host.attachShadow({ mode: 'closed' });
+      root.innerHTML = `
+        <style>${CONSENT_STYLES}</style>
+        <div class="backdrop">
+          <div class="dialog" role="dialog" aria-modal="true">
+            <h2></h2>
+            <div class="origin"></div>
+            <div class="query"></div>
+            <p class="explain"></p>
+            <ul class="results"></ul>
+            <div class="actions">
+              <button class="deny" data-choice="deny"></button>
+              <button class="session" data-choice="session"></button>
+              <button class="once" data-choice="once"></button>
+            </div>
+          </div>
+        </div>`;
+
+      const summaries = {
+        search: details.query,
+        search_pages: details.query,
+        extract: null,
+        fetch: `${details.method || 'GET'} ${details.url || ''}`,
+        chat: details.model || null
+      };
+      const summary = summaries[action];
+
+      root.querySelector('h2').textContent = text.titles[action] || action;
+      root.querySelector('.origin').textContent = origin || '';
+      root.querySelector('.query').textContent = summary || '';
+      root.querySelector('.query').hidden = !summary;
+      root.querySelector('.explain').textContent =
+        action === 'extract' && urls.length === 0 ? text.noResults : text.explain[action];
+      root.querySelector('.deny').textContent = text.deny;
+      root.querySelector('.session').textContent = text.allowSession;
+      // The page list belongs to one search: there is nothing to remember
+      root.querySelector('.session').hidden = action === 'search_pages';
+      root.querySelector('.once').textContent = action === 'search_pages' ? text.openChecked : text.allowOnce;
+
+      const list = root.querySelector('.results');
+      list.hidden = urls.length === 0;
+      const checkboxes = urls.map((entry, index) => {
+        const item = document.createElement('li');
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        const info = document.createElement('span');
+        const title = document.createElement('strong');
+        const url = document.createElement('small');
+
+        checkbox.type = 'checkbox';
+        checkbox.checked = index < preselected;
+        checkbox.value = entry.url;
+        title.textContent = entry.title || entry.url;
+        url.textContent = entry.url;
+
+        info.append(title, url);
+        label.append(checkbox, info);
+        item.appendChild(label);
+        list.appendChild(item);
+        return checkbox;
+      });
 
-  const removeSelectors = [
-    'script', 'style', 'nav', 'header', 'footer', 'aside',
-    '.navigation', '.nav', '.menu', '.sidebar', '.ads',
-    '.advertisement', '.social-share', '.comments', '.related-posts',
-    '[role="navigation"]', '[role="complementary"]',
-    '[role="banner"]', '[role="contentinfo"]'
-  ];
+      // With a URL list, allowing nothing is not an option
+      const allowButtons = [root.querySelector('.once'), root.querySelector('.session')];
+      const updateButtons = () => {
+        const none = checkboxes.length > 0 && !checkboxes.some(checkbox => checkbox.checked);
+        allowButtons.forEach(button => { button.disabled = none; });
+      };
+      checkboxes.forEach(checkbox => checkbox.addEventListener('change', updateButtons));
+      updateButtons();
+
+      const finish = (choice, reason = null) => {
+        clearTimeout(timeout);
+        document.removeEventListener('keydown', onKeyDown, true);
+        host.remove();
+        resolve({
+          choice,
+          urls: checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value),
+          reason: choice === 'deny' ? reason || 'user' : null
+        });
+      };
+
+      const onKeyDown = (event) => {
+        if (event.key === 'Escape' && event.isTrusted) finish('deny');
+      };
+
+      root.querySelectorAll('[data-choice]').forEach((button) => {
+        button.addEventListener('click', (event) => {
+          // Synthetic clicks from page scripts must not grant consent
+          if (!event.isTrusted) return;
+          finish(button.dataset.choice);
+        });
+      });
 
-  removeSelectors.forEach(selector => {
-    body.querySelectorAll(selector).forEach(el => el.remove());
+      const timeout = setTimeout(() => finish('deny', 'timeout'), CONSENT_TIMEOUT);
+      document.addEventListener('keydown', onKeyDown, true);
+      document.documentElement.appendChild(host);
+      root.querySelector('.once').focus();
+    });
   });
-
-  content = extractTextFromElement(body);
-  return content;
 }
 
 /**
- * Extract text from an element
+ * Post a pushed message to the webapp, or queue it until the webapp is ready
  */
-function extractTextFromElement(element) {
-  if (!element) return '';
-
-  const walker = document.createTreeWalker(
-    element,
-    NodeFilter.SHOW_TEXT,
-    {
-      acceptNode: function (node) {
-        const parent = node.parentElement;
-        if (!parent) return NodeFilter.FILTER_REJECT;
-
-        const style = window.getComputedStyle(parent);
-        if (style.display === 'none' || style.visibility === 'hidden') {
-          return NodeFilter.FILTER_REJECT;
-        }
-
-        const tagName = parent.tagName.toLowerCase();
-        if (['script', 'style', 'noscript'].includes(tagName)) {
-          return NodeFilter.FILTER_REJECT;
-        }
-
-        if (node.textContent.trim().length > 0) {
-          return NodeFilter.FILTER_ACCEPT;
-        }
-
-        return NodeFilter.FILTER_REJECT;
-      }
-    }
-  );
-
-  const textParts = [];
-  let node;
-
-  while (node = walker.nextNode()) {
-    const text = node.textContent.trim();
-    if (text) {
-      textParts.push(text);
-    }
+function deliverToWebApp(type, data) {
+  if (webAppReady && webAppPort) {
+    postToWebApp(type, data);
+    return;
   }
 
-  return textParts.join(' ');
-}
-
-/**
- * Clean text
- */
-function cleanText(text) {
-  return text
-    .replace(/\s+/g, ' ')
-    .replace(/ {2,}/g, ' ')
-    .trim()
-    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+  pendingDeliveries.push({ type, data });
+  setTimeout(flushDeliveries, WEBAPP_READY_TIMEOUT);
 }
 
 /**
- * Count words
+ * Messages stay queued while there is no channel to send them on
  */
-function countWords(text) {
-  return text.split(/\s+/).filter(word => word.length > 0).length;
+function flushDeliveries() {
+  if (!webAppPort) return;
+  webAppReady = true;
+  pendingDeliveries.splice(0).forEach(({ type, data }) => postToWebApp(type, data));
 }
 
 /**
@@ -579,13 +830,18 @@ function sendToBackground(data) {
 // Initialize
 checkIfWebApp();
 
-// Auto-extract if not on webapp
+// Auto-extract if not on webapp. This is the plain text and metadata pass:
+// the background asks for the Markdown with EXTRACT_NOW when it needs it
 if (!isWebApp) {
+  let extractionSent = false;
+
   // Extract as soon as possible, then again when DOM is fully ready
   const performExtraction = () => {
+    if (extractionSent) return true;
     const extracted = extractPageContent();
     if (extracted.content.length > 100) {
       sendToBackground(extracted);
+      extractionSent = true;
       return true;
     }
     return false;
@@ -608,38 +864,66 @@ if (!isWebApp) {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'OPENAI_API_REQUEST') {
     // Forward OpenAI API request from background to webapp
-    window.postMessage({
-      source: 'edgeai-extension',
-      type: 'OPENAI_API_REQUEST',
-      data: {
+    const sent = postToWebApp('OPENAI_API_REQUEST', {
+      requestId: request.requestId,
+      endpoint: request.endpoint,
+      payload: request.payload,
+      key: request.key
+    });
+    if (!sent) {
+      chrome.runtime.sendMessage({
+        type: 'OPENAI_API_ERROR',
         requestId: request.requestId,
-        payload: request.payload,
-        apiKey: request.apiKey
-      }
-    }, '*');
-    return false; // Handled asynchronously via message listener above
+        error: 'Edge.AI webapp has not connected yet'
+      });
+    }
+    return false; // Handled asynchronously via handleWebAppMessage
+  }
+
+  if (request.type === 'OPENAI_API_CANCEL') {
+    // The caller gave up: the webapp should stop and answer OPENAI_API_CANCELLED
+    postToWebApp('OPENAI_API_CANCEL', { requestId: request.requestId });
+    return false;
   }
 
   if (request.type === 'EXTRACT_NOW') {
-    const extracted = extractPageContent();
+    const extracted = request.selectionOnly
+      ? extractSelectionContent()
+      : extractPageContent(document, location.href, { structured: true });
     sendResponse(extracted);
     return false;
   }
 
+  if (request.type === 'OPERATION_PROGRESS') {
+    // Live status of a search or extraction this page started
+    const { type, ...data } = request;
+    postToWebApp('SEARCH_PROGRESS', data);
+    return false;
+  }
+
+  if (request.type === 'REQUEST_CONSENT') {
+    // The background asks before letting a page use a capability
+    showConsentDialog(request.action, request.origin, request.details).then(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'PAGE_SOURCE' || request.type === 'SEARCH_QUERY') {
+    // Pushed from the popup, context menus or shortcut: hand it to the webapp
+    if (isWebApp) {
+      const { type, ...data } = request;
+      deliverToWebApp(type, data);
+    }
+    sendResponse({ received: isWebApp });
+    return false;
+  }
+
   if (request.type === 'PERMISSION_MODE_CHANGED') {
     permissionMode = request.mode;
     console.log('[EdgeAI Content] Permission mode updated:', permissionMode);
 
     // Notify webapp if we're on the webapp
     if (isWebApp) {
-      window.postMessage({
-        source: 'edgeai-extension',
-        type: 'CONNECTION_READY',
-        data: {
-          permissionMode,
-          version: chrome.runtime.getManifest().version
-        }
-      }, '*');
+      postToWebApp('PERMISSION_MODE_CHANGED', { permissionMode });
     }
   }
 });
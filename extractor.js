@@ -0,0 +1,702 @@
+/**
+ * Extractor - Edge.AI Browser Extension
+ *
+ * Main-content heuristics shared by:
+ * 1. The content script (live pages opened in tabs)
+ * 2. The offscreen document (HTML fetched by the background worker)
+ *
+ * Every function works on the document it is given, so it runs the same on
+ * the live `document` and on a DOMParser result.
+ *
+ * Three outputs are produced: `content`, the flattened plain text kept for
+ * compatibility, `markdown`, the scored main content with its structure, and
+ * `metadata`, the citation data declared by the page. Metadata only reads
+ * tags and JSON-LD, so every pass includes it; the Markdown walks the whole
+ * document with computed styles and is only built when asked for
+ * (`structured`).
+ */
+
+// Hints used to score candidate containers (Readability-style)
+const POSITIVE_HINTS = /article|body|content|entry|hentry|main|page|post|text|blog|story/i;
+const NEGATIVE_HINTS = /comment|meta|footer|footnote|masthead|sidebar|sponsor|\bads?\b|advert|promo|related|share|social|widget|\bnav|menu|banner|cookie|newsletter|popup|modal|breadcrumb|pagination/i;
+
+// Elements never serialized to Markdown
+const IGNORED_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed',
+  'button', 'input', 'select', 'textarea', 'form', 'nav', 'aside', 'footer',
+  '[hidden]', '[aria-hidden="true"]', '[role="navigation"]', '[role="complementary"]',
+  // Wikipedia chrome
+  '.mw-editsection', 'sup.reference', '.navbox', '#toc', '.toc'
+].join(', ');
+
+// JSON-LD types summarized into metadata.structuredData
+const ARTICLE_TYPES = ['Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'ScholarlyArticle', 'Report'];
+const STRUCTURED_DATA_TYPES = [...ARTICLE_TYPES, 'FAQPage', 'Product'];
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'ol', 'p',
+  'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+// Stands in for <br> while whitespace is collapsed (not matched by \s)
+const LINE_BREAK = '\uE000';
+
+/**
+ * Extract page content for RAG processing.
+ * Without `structured` only the plain text and the metadata are computed:
+ * that is the cheap pass content.js runs on every page.
+ */
+function extractPageContent(doc = document, url = doc.location ? doc.location.href : '', { structured = false } = {}) {
+  const result = {
+    title: doc.title,
+    url,
+    content: '',
+    wordCount: 0,
+    extractedAt: Date.now(),
+    metadata: {}
+  };
+
+  try {
+    // Metadata first: it does not depend on the content heuristics
+    result.metadata = extractMetadata(doc, url);
+
+    // Get the main content
+    const content = extractMainContent(doc, url);
+
+    // Clean and process the text
+    result.content = cleanText(content);
+    result.wordCount = countWords(result.content);
+
+    // Structured version of the main content for RAG chunking
+    if (structured) result.markdown = extractMarkdown(doc, url);
+
+    console.log(`[EdgeAI Extractor] Extracted ${result.wordCount} words from ${result.url}`);
+
+    return result;
+
+  } catch (error) {
+    console.error('[EdgeAI Extractor] Extraction error:', error);
+    return result;
+  }
+}
+
+/**
+ * Extract only the user's current text selection, with the page metadata.
+ * Content is empty when nothing is selected.
+ */
+function extractSelectionContent(doc = document, url = doc.location ? doc.location.href : '') {
+  const result = {
+    title: doc.title,
+    url,
+    content: '',
+    markdown: '',
+    wordCount: 0,
+    extractedAt: Date.now(),
+    metadata: {}
+  };
+
+  const selection = doc.defaultView ? doc.defaultView.getSelection() : null;
+  if (!selection || selection.isCollapsed) return result;
+
+  try {
+    result.metadata = extractMetadata(doc, url);
+    result.content = cleanText(selection.toString());
+    result.wordCount = countWords(result.content);
+
+    const container = doc.createElement('div');
+    for (let i = 0; i < selection.rangeCount; i++) {
+      container.appendChild(selection.getRangeAt(i).cloneContents());
+    }
+    // Cloned nodes are detached and have no computed style
+    result.markdown = blocksToMarkdown(container, { baseUrl: url, view: null })
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  } catch (error) {
+    console.error('[EdgeAI Extractor] Selection extraction error:', error);
+  }
+
+  return result;
+}
+
+/**
+ * Extract main content using multiple strategies
+ */
+function extractMainContent(doc, url) {
+  let content = '';
+
+  // Strategy 1: Look for main content areas (semantic HTML)
+  const mainSelectors = [
+    'main',
+    'article',
+    '[role="main"]',
+    '.main-content',
+    '#main-content',
+    '#content',
+    '.content',
+    '.article-content',
+    '.post-content'
+  ];
+
+  for (const selector of mainSelectors) {
+    const element = doc.querySelector(selector);
+    if (element) {
+      content = extractTextFromElement(element);
+      if (content.length > 500) {
+        return content;
+      }
+    }
+  }
+
+  // Strategy 2: Wikipedia-specific extraction
+  if (getHostname(url).includes('wikipedia.org')) {
+    const wikiContent = doc.querySelector('#mw-content-text');
+    if (wikiContent) {
+      return extractTextFromElement(wikiContent);
+    }
+  }
+
+  // Strategy 3: Remove common non-content elements and extract from body
+  if (!doc.body) return '';
+  const body = doc.body.cloneNode(true);
+
+  const removeSelectors = [
+    'script', 'style', 'nav', 'header', 'footer', 'aside',
+    '.navigation', '.nav', '.menu', '.sidebar', '.ads',
+    '.advertisement', '.social-share', '.comments', '.related-posts',
+    '[role="navigation"]', '[role="complementary"]',
+    '[role="banner"]', '[role="contentinfo"]'
+  ];
+
+  removeSelectors.forEach(selector => {
+    body.querySelectorAll(selector).forEach(el => el.remove());
+  });
+
+  content = extractTextFromElement(body);
+  return content;
+}
+
+/**
+ * Extract text from an element
+ */
+function extractTextFromElement(element) {
+  if (!element) return '';
+
+  const doc = element.ownerDocument;
+  // Parsed documents have no layout, so computed styles are only checked on live pages
+  const view = doc.defaultView;
+
+  const walker = doc.createTreeWalker(
+    element,
+    NodeFilter.SHOW_TEXT,
+    {
+      acceptNode: function (node) {
+        const parent = node.parentElement;
+        if (!parent) return NodeFilter.FILTER_REJECT;
+
+        if (view) {
+          const style = view.getComputedStyle(parent);
+          if (style.display === 'none' || style.visibility === 'hidden') {
+            return NodeFilter.FILTER_REJECT;
+          }
+        } else if (parent.closest('[hidden], [aria-hidden="true"]')) {
+          return NodeFilter.FILTER_REJECT;
+        }
+
+        const tagName = parent.tagName.toLowerCase();
+        if (['script', 'style', 'noscript', 'template'].includes(tagName)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+
+        if (node.textContent.trim().length > 0) {
+          return NodeFilter.FILTER_ACCEPT;
+        }
+
+        return NodeFilter.FILTER_REJECT;
+      }
+    }
+  );
+
+  const textParts = [];
+  let node;
+
+  while (node = walker.nextNode()) {
+    const text = node.textContent.trim();
+    if (text) {
+      textParts.push(text);
+    }
+  }
+
+  return textParts.join(' ');
+}
+
+/**
+ * Extract the main content as Markdown, keeping headings, lists, tables,
+ * code blocks and links
+ */
+function extractMarkdown(doc, url) {
+  const root = findContentRoot(doc) || doc.body;
+  if (!root) return '';
+
+  const context = { baseUrl: url, view: doc.defaultView };
+  return blocksToMarkdown(root, context)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Score paragraph containers and return the best one.
+ * Each paragraph gives points to its parent and half to its grandparent;
+ * class/id hints and link density adjust the final score.
+ */
+function findContentRoot(doc) {
+  if (!doc.body) return null;
+
+  const scores = new Map();
+  const addScore = (element, points) => {
+    if (!element || element === doc.documentElement) return;
+    if (!scores.has(element)) scores.set(element, initialScore(element));
+    scores.set(element, scores.get(element) + points);
+  };
+
+  doc.body.querySelectorAll('p, pre, td, blockquote').forEach((paragraph) => {
+    if (paragraph.closest(IGNORED_SELECTOR)) return;
+
+    const text = paragraph.textContent.trim();
+    if (text.length < 25) return;
+
+    const points = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(paragraph.parentElement, points);
+    addScore(paragraph.parentElement && paragraph.parentElement.parentElement, points / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    const finalScore = score * (1 - linkDensity(element));
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  });
+
+  return best;
+}
+
+function initialScore(element) {
+  const baseScores = { div: 5, article: 10, main: 10, section: 3, pre: 3, td: 3, blockquote: 3, form: -3, ol: -3, ul: -3, th: -5 };
+  const hints = `${element.getAttribute('class') || ''} ${element.id || ''}`;
+
+  let score = baseScores[element.tagName.toLowerCase()] || 0;
+  if (NEGATIVE_HINTS.test(hints)) score -= 25;
+  if (POSITIVE_HINTS.test(hints)) score += 25;
+  return score;
+}
+
+function linkDensity(element) {
+  const textLength = element.textContent.length;
+  if (!textLength) return 0;
+
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => { linkLength += link.textContent.length; });
+  return linkLength / textLength;
+}
+
+function isSkippedElement(element, context) {
+  if (element.matches(IGNORED_SELECTOR)) return true;
+
+  // Boilerplate blocks inside the content root (share bars, related posts...)
+  const hints = `${element.getAttribute('class') || ''} ${element.id || ''}`;
+  if (hints.trim() && NEGATIVE_HINTS.test(hints) && !POSITIVE_HINTS.test(hints)) return true;
+
+  if (context.view) {
+    const style = context.view.getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden') return true;
+  }
+  return false;
+}
+
+/**
+ * Serialize the children of a container: runs of inline content become
+ * paragraphs, block children are converted on their own
+ */
+function blocksToMarkdown(element, context) {
+  const blocks = [];
+  let inline = '';
+
+  const flush = () => {
+    const text = normalizeInline(inline);
+    if (text) blocks.push(text);
+    inline = '';
+  };
+
+  element.childNodes.forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      inline += child.textContent;
+      return;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE || isSkippedElement(child, context)) return;
+
+    if (BLOCK_TAGS.has(child.tagName.toLowerCase())) {
+      flush();
+      const markdown = blockToMarkdown(child, context);
+      if (markdown) blocks.push(markdown);
+    } else {
+      inline += inlineToMarkdown(child, context);
+    }
+  });
+
+  flush();
+  return blocks.join('\n\n');
+}
+
+function blockToMarkdown(element, context) {
+  const tag = element.tagName.toLowerCase();
+
+  if (/^h[1-6]$/.test(tag)) {
+    const text = normalizeInline(inlineChildren(element, context)).replace(/\n/g, ' ');
+    return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+  }
+
+  switch (tag) {
+    case 'p':
+    case 'dt':
+    case 'summary':
+    case 'figcaption':
+      return normalizeInline(inlineChildren(element, context));
+    case 'pre':
+      return codeBlockToMarkdown(element);
+    case 'ul':
+    case 'ol':
+      return listToMarkdown(element, context);
+    case 'table':
+      return tableToMarkdown(element, context);
+    case 'blockquote': {
+      const inner = blocksToMarkdown(element, context);
+      return inner ? inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n') : '';
+    }
+    case 'hr':
+      return '---';
+    default:
+      return blocksToMarkdown(element, context);
+  }
+}
+
+function codeBlockToMarkdown(pre) {
+  const code = pre.textContent.replace(/\n+$/, '');
+  if (!code.trim()) return '';
+
+  const hints = `${pre.getAttribute('class') || ''} ${(pre.querySelector('code') || pre).getAttribute('class') || ''}`;
+  const language = (/(?:language|lang)-([\w+#-]+)/.exec(hints) || [])[1] || '';
+  const fence = code.includes('```') ? '````' : '```';
+  return `${fence}${language}\n${code}\n${fence}`;
+}
+
+function listToMarkdown(list, context) {
+  const ordered = list.tagName.toLowerCase() === 'ol';
+  let index = parseInt(list.getAttribute('start'), 10) || 1;
+  const items = [];
+
+  [...list.children].forEach((item) => {
+    if (item.tagName.toLowerCase() !== 'li' || isSkippedElement(item, context)) return;
+
+    const body = blocksToMarkdown(item, context).replace(/\n{2,}/g, '\n');
+    if (!body) return;
+
+    const marker = ordered ? `${index++}. ` : '- ';
+    const indent = ' '.repeat(marker.length);
+    items.push(marker + body.split('\n').join(`\n${indent}`));
+  });
+
+  return items.join('\n');
+}
+
+function tableToMarkdown(table, context) {
+  const rows = [...table.querySelectorAll('tr')]
+    .filter(row => row.closest('table') === table)
+    .map(row => [...row.children]
+      .filter(cell => /^t[dh]$/i.test(cell.tagName))
+      .map(cell => normalizeInline(inlineChildren(cell, context)).replace(/\n/g, ' ').replace(/\|/g, '\\|')))
+    .filter(cells => cells.some(Boolean));
+
+  const width = Math.max(0, ...rows.map(cells => cells.length));
+
+  // Layout tables (one column or nested tables) are read as plain blocks
+  if (width < 2 || table.querySelector('table')) {
+    return blocksToMarkdown(table.tBodies[0] || table, context);
+  }
+
+  const padded = rows.map(cells => [...cells, ...Array(width - cells.length).fill('')]);
+  const lines = padded.map(cells => `| ${cells.join(' | ')} |`);
+  lines.splice(1, 0, `| ${Array(width).fill('---').join(' | ')} |`);
+  return lines.join('\n');
+}
+
+function inlineChildren(element, context) {
+  let text = '';
+  element.childNodes.forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      text += child.textContent;
+    } else if (child.nodeType === Node.ELEMENT_NODE && !isSkippedElement(child, context)) {
+      text += inlineToMarkdown(child, context);
+    }
+  });
+  return text;
+}
+
+function inlineToMarkdown(element, context) {
+  const tag = element.tagName.toLowerCase();
+
+  switch (tag) {
+    case 'br':
+      return LINE_BREAK;
+    case 'img':
+      return '';
+    case 'code':
+    case 'kbd':
+    case 'samp': {
+      const code = element.textContent.replace(/\s+/g, ' ');
+      return code.trim() ? `\`${code}\`` : code;
+    }
+    case 'strong':
+    case 'b':
+      return wrapInline(inlineChildren(element, context), '**');
+    case 'em':
+    case 'i':
+      return wrapInline(inlineChildren(element, context), '*');
+    case 'a': {
+      const text = inlineChildren(element, context);
+      const href = resolveHref(element.getAttribute('href'), context.baseUrl);
+      if (!href || !text.trim()) return text;
+      return text.replace(/^(\s*)([\s\S]*?)(\s*)$/, (match, before, label, after) => `${before}[${label}](${href})${after}`);
+    }
+    default:
+      // Block elements nested in inline content are flattened into the line
+      return BLOCK_TAGS.has(tag) ? ` ${inlineChildren(element, context)} ` : inlineChildren(element, context);
+  }
+}
+
+/**
+ * Wrap text in emphasis markers, keeping surrounding whitespace outside
+ */
+function wrapInline(text, marker) {
+  if (!text.trim()) return text;
+  return text.replace(/^(\s*)([\s\S]*?)(\s*)$/, (match, before, inner, after) => `${before}${marker}${inner}${marker}${after}`);
+}
+
+function resolveHref(href, baseUrl) {
+  if (!href || href.startsWith('#') || /^(javascript|mailto|tel|data):/i.test(href)) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Collapse source whitespace and turn <br> placeholders into line breaks
+ */
+function normalizeInline(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(new RegExp(` ?${LINE_BREAK} ?`, 'g'), '\n')
+    .trim();
+}
+
+/**
+ * Extract citation metadata: canonical URL, Open Graph / Twitter card tags,
+ * author, dates, language, site name and JSON-LD structured data
+ */
+function extractMetadata(doc, url) {
+  const openGraph = collectMetaTags(doc, 'og:');
+  const twitter = collectMetaTags(doc, 'twitter:');
+  const structuredData = extractStructuredData(doc);
+  const article = structuredData.find(item => ARTICLE_TYPES.includes(item.type)) || {};
+
+  const canonical = doc.querySelector('link[rel~="canonical"]');
+  const timeElement = doc.querySelector('article time[datetime], time[itemprop="datePublished"], time[pubdate]');
+
+  return {
+    canonicalUrl: (canonical && resolveHref(canonical.getAttribute('href'), url)) || openGraph.url || null,
+    siteName: openGraph.site_name || getMetaContent(doc, 'application-name') || null,
+    description: getMetaContent(doc, 'description') || openGraph.description || twitter.description || null,
+    author: article.authors && article.authors.length
+      ? article.authors.join(', ')
+      : getMetaContent(doc, 'author') || getMetaContent(doc, 'article:author') || twitter.creator || null,
+    publishedAt: normalizeDate(
+      article.datePublished ||
+      getMetaContent(doc, 'article:published_time') ||
+      getMetaContent(doc, 'date') ||
+      getItemprop(doc, 'datePublished') ||
+      (timeElement && timeElement.getAttribute('datetime'))
+    ),
+    modifiedAt: normalizeDate(
+      article.dateModified ||
+      getMetaContent(doc, 'article:modified_time') ||
+      getMetaContent(doc, 'og:updated_time') ||
+      getItemprop(doc, 'dateModified')
+    ),
+    language: (doc.documentElement.getAttribute('lang') ||
+      getMetaContent(doc, 'content-language') ||
+      (openGraph.locale || '').replace('_', '-') || null),
+    image: openGraph.image || twitter.image || null,
+    type: openGraph.type || null,
+    openGraph,
+    twitter,
+    structuredData
+  };
+}
+
+/**
+ * Collect <meta property="og:*"> / <meta name="twitter:*"> into an object without the prefix
+ */
+function collectMetaTags(doc, prefix) {
+  const tags = {};
+  doc.querySelectorAll('meta[property], meta[name]').forEach((meta) => {
+    const key = (meta.getAttribute('property') || meta.getAttribute('name') || '').toLowerCase();
+    const content = meta.getAttribute('content');
+    if (key.startsWith(prefix) && content && !(key.slice(prefix.length) in tags)) {
+      tags[key.slice(prefix.length)] = content.trim();
+    }
+  });
+  return tags;
+}
+
+function getMetaContent(doc, name) {
+  const meta = [...doc.querySelectorAll('meta[name], meta[property], meta[http-equiv]')].find((element) => {
+    const key = element.getAttribute('name') || element.getAttribute('property') || element.getAttribute('http-equiv');
+    return key && key.toLowerCase() === name;
+  });
+  const content = meta && meta.getAttribute('content');
+  return content ? content.trim() : null;
+}
+
+function getItemprop(doc, name) {
+  const element = doc.querySelector(`[itemprop="${name}"]`);
+  if (!element) return null;
+  return element.getAttribute('content') || element.getAttribute('datetime') || element.textContent.trim() || null;
+}
+
+function normalizeDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Parse JSON-LD blocks and summarize Article, FAQPage and Product items
+ */
+function extractStructuredData(doc) {
+  const items = [];
+
+  doc.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
+    let data;
+    try {
+      data = JSON.parse(script.textContent);
+    } catch (e) {
+      return; // Broken JSON-LD is common; skip it
+    }
+
+    const queue = Array.isArray(data) ? [...data] : [data];
+    while (queue.length) {
+      const item = queue.shift();
+      if (!item || typeof item !== 'object') continue;
+      if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+
+      const types = [].concat(item['@type'] || []);
+      const type = types.find(t => STRUCTURED_DATA_TYPES.includes(t));
+      if (type) items.push(summarizeStructuredItem(type, item));
+    }
+  });
+
+  return items;
+}
+
+function summarizeStructuredItem(type, item) {
+  if (type === 'FAQPage') {
+    return {
+      type,
+      questions: [].concat(item.mainEntity || []).map(question => ({
+        question: jsonLdText(question.name),
+        answer: jsonLdText(question.acceptedAnswer && question.acceptedAnswer.text)
+      })).filter(entry => entry.question)
+    };
+  }
+
+  if (type === 'Product') {
+    const offer = [].concat(item.offers || [])[0] || {};
+    const rating = item.aggregateRating || {};
+    return {
+      type,
+      name: jsonLdText(item.name),
+      description: jsonLdText(item.description),
+      brand: jsonLdName(item.brand),
+      sku: item.sku || null,
+      price: offer.price ?? offer.lowPrice ?? null,
+      priceCurrency: offer.priceCurrency || null,
+      availability: offer.availability ? String(offer.availability).replace(/^https?:\/\/schema\.org\//, '') : null,
+      rating: rating.ratingValue ? { value: Number(rating.ratingValue), count: Number(rating.reviewCount || rating.ratingCount) || null } : null
+    };
+  }
+
+  return {
+    type,
+    headline: jsonLdText(item.headline || item.name),
+    description: jsonLdText(item.description),
+    authors: [].concat(item.author || []).map(jsonLdName).filter(Boolean),
+    publisher: jsonLdName(item.publisher),
+    datePublished: item.datePublished || null,
+    dateModified: item.dateModified || null
+  };
+}
+
+function jsonLdName(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  return jsonLdText(value.name);
+}
+
+/**
+ * JSON-LD text fields may contain HTML; keep only the text
+ */
+function jsonLdText(value) {
+  if (typeof value !== 'string') return null;
+  return value.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim() || null;
+}
+
+/**
+ * Detect pages whose content is rendered by JavaScript (empty app shell)
+ */
+function looksClientRendered(doc) {
+  const noscript = [...doc.querySelectorAll('noscript')]
+    .some(el => /enable javascript|javascript is (required|disabled)|activa javascript/i.test(el.textContent));
+  const appRoot = doc.querySelector('#root, #app, #__next, #__nuxt, [data-reactroot]');
+  const emptyRoot = appRoot && appRoot.textContent.trim().length < 50;
+  return noscript || !!emptyRoot;
+}
+
+/**
+ * Clean text
+ */
+function cleanText(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/ {2,}/g, ' ')
+    .trim()
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+}
+
+/**
+ * Count words
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return '';
+  }
+}
@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+// Edge.AI native messaging host - OpenAI-compatible HTTP endpoint on 127.0.0.1
+//
+// The browser starts this process when the extension calls
+// chrome.runtime.connectNative('es.inled.edgeai'). Messages travel over
+// stdin/stdout as a 32-bit little-endian length followed by UTF-8 JSON, so
+// logs must go to stderr only.
+//
+// HTTP routes (Authorization: Bearer <key created in the popup>):
+//   GET  /v1/models
+//   POST /v1/chat/completions   ("stream": true answers with SSE)
+//   POST /v1/embeddings
+//
+// Every request is relayed to background.js, which validates the key and
+// forwards it to the Edge.AI tab like any other inbound API request.
+
+'use strict';
+
+const http = require('http');
+
+const HOST = '127.0.0.1';
+// Messages from a native host to the browser are limited to 1 MB
+const MAX_BODY_BYTES = 1024 * 1024 - 4096;
+const REQUEST_TIMEOUT = 10 * 60 * 1000;
+
+const ROUTES = {
+  'GET /v1/models': 'models',
+  'POST /v1/chat/completions': 'chat.completions',
+  'POST /v1/embeddings': 'embeddings'
+};
+
+let server = null;
+let listeningPort = null;
+let nextRequestId = 1;
+
+// HTTP responses waiting on the extension, by requestId
+const pending = new Map();
+
+// ============================================================================
+// NATIVE MESSAGING
+// ============================================================================
+
+function send(message) {
+  const body = Buffer.from(JSON.stringify(message), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  process.stdout.write(Buffer.concat([header, body]));
+}
+
+function readMessages(onMessage) {
+  let buffer = Buffer.alloc(0);
+
+  process.stdin.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32LE(0);
+      if (buffer.length < 4 + length) break;
+
+      const body = buffer.subarray(4, 4 + length).toString('utf8');
+      buffer = buffer.subarray(4 + length);
+
+      try {
+        onMessage(JSON.parse(body));
+      } catch (error) {
+        log('Bad message from the extension:', error.message);
+      }
+    }
+  });
+
+  // The browser closes stdin when the extension disconnects
+  process.stdin.on('end', shutdown);
+}
+
+function handleExtensionMessage(message) {
+  if (message.type === 'CONFIG') {
+    listen(message.port);
+  } else if (message.type === 'API_RESPONSE') {
+    const request = pending.get(message.requestId);
+    if (request) finishWithResult(request, message.result);
+  } else if (message.type === 'API_STREAM') {
+    const request = pending.get(message.requestId);
+    if (request) writeStreamMessage(request, message.message);
+  }
+}
+
+// ============================================================================
+// HTTP SERVER
+// ============================================================================
+
+function listen(port) {
+  if (server && listeningPort === port) {
+    send({ type: 'LISTENING', port });
+    return;
+  }
+
+  const next = http.createServer(handleHttpRequest);
+  next.once('error', (error) => {
+    log(`Could not listen on ${HOST}:${port}:`, error.message);
+    send({ type: 'SERVER_ERROR', error: error.message });
+  });
+  next.listen(port, HOST, () => {
+    if (server) server.close();
+    server = next;
+    listeningPort = port;
+    log(`Listening on http://${HOST}:${port}`);
+    send({ type: 'LISTENING', port });
+  });
+}
+
+async function handleHttpRequest(req, res) {
+  // A page on another site can't rebind its hostname to us and read the answer
+  if (!isLocalHost(req.headers.host)) {
+    sendError(res, 403, 'Invalid Host header', 'invalid_request_error', 'invalid_host');
+    return;
+  }
+
+  const path = req.url.split('?')[0].replace(/\/+$/, '');
+  const endpoint = ROUTES[`${req.method} ${path}`];
+  if (!endpoint) {
+    sendError(res, 404, `Unknown request URL: ${req.method} ${path}`, 'invalid_request_error', 'unknown_url');
+    return;
+  }
+
+  let payload = {};
+  if (req.method === 'POST') {
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (error) {
+      const status = error.tooLarge ? 413 : 400;
+      sendError(res, status, error.tooLarge ? 'Request body too large' : `Invalid JSON body: ${error.message}`);
+      return;
+    }
+  }
+
+  const auth = req.headers.authorization || '';
+  const apiKey = auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+  const stream = endpoint === 'chat.completions' && !!(payload && payload.stream);
+  const requestId = `http_${process.pid}_${nextRequestId++}`;
+
+  const request = { requestId, res, stream, headersSent: false, timer: null };
+  request.timer = setTimeout(() => {
+    finishWithResult(request, errorResult(504, 'Request timeout', 'server_error', 'timeout'));
+  }, REQUEST_TIMEOUT);
+  pending.set(requestId, request);
+
+  // Closing the connection early cancels the request in the extension
+  res.on('close', () => {
+    if (!pending.has(requestId)) return;
+    clearTimeout(request.timer);
+    pending.delete(requestId);
+    send({ type: 'API_CANCEL', requestId });
+  });
+
+  send({ type: 'API_REQUEST', requestId, endpoint, payload, apiKey, stream });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { tooLarge: true }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Complete a request with a handleInboundApiRequest result:
+ * { success, data } or { success: false, status, error, data: { error } }
+ */
+function finishWithResult(request, result) {
+  clearTimeout(request.timer);
+  pending.delete(request.requestId);
+
+  if (request.headersSent) {
+    // The stream already started: report the error as a last event
+    request.res.end(`data: ${JSON.stringify(errorBody(result))}\n\n`);
+    return;
+  }
+
+  if (result && result.success) {
+    sendJson(request.res, 200, result.data);
+  } else {
+    sendJson(request.res, (result && result.status) || 500, errorBody(result));
+  }
+}
+
+// CHAT_COMPLETION_* messages from streamChatCompletion become SSE events
+function writeStreamMessage(request, message) {
+  if (message.type === 'CHAT_COMPLETION_ERROR') {
+    finishWithResult(request, { success: false, ...message });
+    return;
+  }
+
+  if (!request.headersSent) {
+    request.res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    request.headersSent = true;
+  }
+
+  if (message.type === 'CHAT_COMPLETION_CHUNK') {
+    request.res.write(`data: ${JSON.stringify(message.data)}\n\n`);
+  } else if (message.type === 'CHAT_COMPLETION_DONE') {
+    clearTimeout(request.timer);
+    pending.delete(request.requestId);
+    request.res.end('data: [DONE]\n\n');
+  }
+}
+
+function errorBody(result) {
+  if (result && result.data && result.data.error) return result.data;
+  const message = (result && result.error) || 'Unknown error';
+  return { error: { message, type: 'server_error', param: null, code: null } };
+}
+
+function errorResult(status, message, type = 'invalid_request_error', code = null) {
+  return { success: false, status, error: message, data: { error: { message, type, param: null, code } } };
+}
+
+function sendError(res, status, message, type, code) {
+  sendJson(res, status, errorResult(status, message, type, code).data);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function isLocalHost(hostHeader) {
+  const hostname = String(hostHeader || '').replace(/:\d+$/, '');
+  return hostname === HOST || hostname === 'localhost';
+}
+
+function shutdown() {
+  pending.forEach(request => {
+    finishWithResult(request, errorResult(503, 'Edge.AI extension disconnected', 'server_error', 'extension_disconnected'));
+  });
+  if (server) server.close();
+  process.exit(0);
+}
+
+function log(...args) {
+  console.error('[EdgeAI host]', ...args);
+}
+
+readMessages(handleExtensionMessage);
@@ -0,0 +1,59 @@
+#!/bin/sh
+# Register the Edge.AI native host for the current user (Chrome, Chromium, Edge, Brave).
+# Usage: ./install-linux.sh <extension-id>    (the ID shown in chrome://extensions)
+#        ./install-linux.sh --uninstall
+set -e
+
+NAME="es.inled.edgeai"
+DIR="$(cd "$(dirname "$0")" && pwd)"
+DATA_DIR="${XDG_DATA_HOME:-$HOME/.local/share}/edgeai"
+CONFIG="${XDG_CONFIG_HOME:-$HOME/.config}"
+BROWSERS="google-chrome google-chrome-beta chromium microsoft-edge BraveSoftware/Brave-Browser"
+
+if [ "$1" = "--uninstall" ]; then
+  for browser in $BROWSERS; do
+    rm -f "$CONFIG/$browser/NativeMessagingHosts/$NAME.json"
+  done
+  rm -rf "$DATA_DIR"
+  echo "Edge.AI native host removed"
+  exit 0
+fi
+
+EXTENSION_ID="$1"
+if [ -z "$EXTENSION_ID" ]; then
+  echo "Usage: $0 <extension-id> | --uninstall" >&2
+  exit 1
+fi
+
+NODE="$(command -v node || true)"
+if [ -z "$NODE" ]; then
+  echo "Node.js not found in PATH" >&2
+  exit 1
+fi
+
+# The browser starts the host with a minimal environment, so the launcher
+# pins the absolute path of node instead of relying on PATH (nvm, asdf...)
+mkdir -p "$DATA_DIR"
+LAUNCHER="$DATA_DIR/edgeai-host"
+cat > "$LAUNCHER" <<LAUNCHER_EOF
+#!/bin/sh
+exec "$NODE" "$DIR/host.js" "\$@"
+LAUNCHER_EOF
+chmod 755 "$LAUNCHER"
+
+INSTALLED=0
+for browser in $BROWSERS; do
+  [ -d "$CONFIG/$browser" ] || continue
+  mkdir -p "$CONFIG/$browser/NativeMessagingHosts"
+  sed -e "s|HOST_PATH|$LAUNCHER|" -e "s|EXTENSION_ID|$EXTENSION_ID|" \
+    "$DIR/$NAME.json" > "$CONFIG/$browser/NativeMessagingHosts/$NAME.json"
+  echo "Installed for $browser"
+  INSTALLED=1
+done
+
+if [ "$INSTALLED" = 0 ]; then
+  echo "No Chromium-based browser profile found in $CONFIG" >&2
+  exit 1
+fi
+
+echo "Enable \"Local server\" in the extension popup to start it"
@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+// Stub browser for the native host - runs the real background.js outside the
+// browser with just enough of the chrome.* API, a fake Edge.AI tab and
+// connectNative() spawning host.js, so the HTTP endpoint works end to end.
+//
+//   node native-host/stub-browser.js [port]              Serve until Ctrl+C
+//   node native-host/stub-browser.js [port] --self-test  Check every route and exit
+//
+// The fake webapp echoes the last user message, streams it word by word,
+// answers with a tool call when `tools` are given and returns 3-dimensional
+// embeddings.
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+const { spawn } = require('child_process');
+const { runChecks } = require('../tests/run-checks.cjs');
+
+const args = process.argv.slice(2);
+const SELF_TEST = args.includes('--self-test');
+const PORT = parseInt(args.find(arg => /^\d+$/.test(arg)), 10) || 11435;
+const EXTENSION_ID = 'edgeaistubextension';
+const WEBAPP_TAB = { id: 1, url: 'https://edge.inled.es/', title: 'Edge.AI' };
+
+// ============================================================================
+// CHROME API STUB
+// ============================================================================
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: listener => listeners.includes(listener)
+  };
+}
+
+function createStorageArea(areaName, onChanged) {
+  const data = {};
+  return {
+    get: async (keys) => {
+      const list = keys === undefined || keys === null ? Object.keys(data) : [].concat(keys);
+      return Object.fromEntries(list.filter(key => key in data).map(key => [key, structuredClone(data[key])]));
+    },
+    set: async (items) => {
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: data[key], newValue: structuredClone(value) };
+        data[key] = structuredClone(value);
+      });
+      onChanged.listeners.forEach(listener => listener(changes, areaName));
+    },
+    remove: async (keys) => {
+      [].concat(keys).forEach(key => delete data[key]);
+    }
+  };
+}
+
+/**
+ * chrome.runtime.connectNative: spawn host.js and speak the native
+ * messaging framing (32-bit little-endian length + JSON) over its stdio.
+ */
+function connectNative(chrome) {
+  const child = spawn(process.execPath, [path.join(__dirname, 'host.js')], { stdio: ['pipe', 'pipe', 'inherit'] });
+  const onMessage = createEvent();
+  const onDisconnect = createEvent();
+  let buffer = Buffer.alloc(0);
+  let connected = true;
+
+  child.stdout.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+    while (buffer.length >= 4 && buffer.length >= 4 + buffer.readUInt32LE(0)) {
+      const length = buffer.readUInt32LE(0);
+      const message = JSON.parse(buffer.subarray(4, 4 + length).toString('utf8'));
+      buffer = buffer.subarray(4 + length);
+      onMessage.listeners.forEach(listener => listener(message));
+    }
+  });
+
+  child.on('exit', () => {
+    if (!connected) return;
+    connected = false;
+    chrome.runtime.lastError = { message: 'Native host has exited.' };
+    onDisconnect.listeners.forEach(listener => listener());
+    chrome.runtime.lastError = undefined;
+  });
+
+  return {
+    name: '',
+    onMessage,
+    onDisconnect,
+    postMessage: (message) => {
+      if (!connected) throw new Error('Attempting to use a disconnected port object');
+      const body = Buffer.from(JSON.stringify(message), 'utf8');
+      const header = Buffer.alloc(4);
+      header.writeUInt32LE(body.length, 0);
+      child.stdin.write(Buffer.concat([header, body]));
+    },
+    disconnect: () => {
+      connected = false;
+      child.stdin.end();
+    }
+  };
+}
+
+function createChrome() {
+  const onChanged = createEvent();
+  const chrome = {
+    runtime: {
+      id: EXTENSION_ID,
+      lastError: undefined,
+      onMessage: createEvent(),
+      onMessageExternal: createEvent(),
+      onConnect: createEvent(),
+      onConnectExternal: createEvent(),
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      getManifest: () => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8')),
+      getURL: file => `chrome-extension://${EXTENSION_ID}/${file}`,
+      getContexts: async () => [],
+      sendMessage: async () => undefined,
+      connectNative: () => connectNative(chrome)
+    },
+    storage: {
+      local: createStorageArea('local', onChanged),
+      session: createStorageArea('session', onChanged),
+      onChanged
+    },
+    tabs: {
+      onRemoved: createEvent(),
+      onUpdated: createEvent(),
+      query: async () => [WEBAPP_TAB],
+      get: async () => WEBAPP_TAB,
+      sendMessage: async (tabId, message) => fakeWebApp(chrome, message)
+    }
+  };
+
+  // Anything else background.js touches at load time (menus, commands...)
+  const inert = () => new Proxy(function () {}, {
+    get: (target, key) => key === 'then' ? undefined : inert(),
+    apply: () => undefined
+  });
+  return new Proxy(chrome, { get: (target, key) => key in target ? target[key] : inert() });
+}
+
+// ============================================================================
+// FAKE WEBAPP
+// ============================================================================
+
+// Plays the Edge.AI tab: answers OPENAI_API_REQUEST (and confirms
+// OPENAI_API_CANCEL) through runtime.onMessage exactly like content.js
+// relays the webapp's replies
+function fakeWebApp(chrome, message) {
+  const reply = (type, fields) => {
+    const sender = { tab: WEBAPP_TAB, id: EXTENSION_ID };
+    chrome.runtime.onMessage.listeners.forEach(listener => listener({ type, requestId: message.requestId, ...fields }, sender, () => {}));
+  };
+
+  if (message.type === 'OPENAI_API_CANCEL') {
+    setTimeout(() => reply('OPENAI_API_CANCELLED', {}), 10);
+    return Promise.resolve(undefined);
+  }
+  if (message.type !== 'OPENAI_API_REQUEST') return Promise.resolve(undefined);
+  const { endpoint, payload } = message;
+
+  setTimeout(() => {
+    if (endpoint === 'models') {
+      reply('OPENAI_API_RESPONSE', { result: ['edge-ai-stub'] });
+    } else if (endpoint === 'embeddings') {
+      const inputs = [].concat(payload.input);
+      reply('OPENAI_API_RESPONSE', { result: inputs.map((input, index) => [index, String(input).length, 0.5]) });
+    } else if (payload.tools && payload.tools.length) {
+      const call = { id: 'call_stub', function: { name: payload.tools[0].function.name, arguments: { echo: true } } };
+      if (payload.stream) reply('OPENAI_API_STREAM_CHUNK', { chunk: { tool_calls: [{ index: 0, ...call }] } });
+      reply('OPENAI_API_RESPONSE', { result: payload.stream ? { finish_reason: 'tool_calls' } : { content: null, tool_calls: [call] } });
+    } else {
+      const last = [...payload.messages].reverse().find(item => item.role === 'user');
+      const text = `Echo: ${last ? last.content : ''}`;
+      if (payload.stream) {
+        text.split(/(?<= )/).forEach(word => reply('OPENAI_API_STREAM_CHUNK', { chunk: word }));
+        reply('OPENAI_API_RESPONSE', { result: { done: true } });
+      } else {
+        reply('OPENAI_API_RESPONSE', { result: text });
+      }
+    }
+  }, 10);
+
+  return Promise.resolve(undefined);
+}
+
+// ============================================================================
+// BACKGROUND
+// ============================================================================
+
+function loadBackground(chrome) {
+  const context = vm.createContext({
+    chrome,
+    console: { log: () => {}, warn: console.warn, error: console.error },
+    crypto: globalThis.crypto,
+    // No network: the update check and search providers just get a 503
+    fetch: async () => new Response('', { status: 503 }),
+    setTimeout,
+    clearTimeout,
+    setInterval: (fn, ms) => setInterval(fn, ms).unref(),
+    clearInterval,
+    AbortController,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    Response,
+    atob,
+    btoa,
+    structuredClone,
+    DecompressionStream
+  });
+  ['pdf-text.js', 'search-parsers.js', 'background.js'].forEach((file) => {
+    vm.runInContext(readModuleSource(file), context, { filename: file });
+  });
+  return context;
+}
+
+// background.js is an ES module importing pdf-text.js and search-parsers.js: here
+// all three run as plain scripts in the same context, so imports and exports
+// are dropped
+function readModuleSource(file) {
+  return fs.readFileSync(path.join(__dirname, '..', file), 'utf8')
+    .replace(/^import [^;]+;$/gm, '')
+    .replace(/^export /gm, '');
+}
+
+function dispatch(chrome, message, sender) {
+  return new Promise((resolve) => {
+    chrome.runtime.onMessage.listeners.some(listener => listener(message, sender, resolve) === true);
+  });
+}
+
+// Popup messages come from an extension page: no tab, our own id
+function sendFromPopup(chrome, message) {
+  return dispatch(chrome, message, { id: EXTENSION_ID, url: chrome.runtime.getURL('popup.html') });
+}
+
+// What content.js sends from the webapp tab after CONNECTION_READY
+function registerWebApp(chrome) {
+  const origin = new URL(WEBAPP_TAB.url).origin;
+  return dispatch(chrome, { type: 'WEBAPP_REGISTER', model: 'edge-ai-stub', busy: false }, {
+    id: EXTENSION_ID, tab: WEBAPP_TAB, frameId: 0, url: WEBAPP_TAB.url, origin
+  });
+}
+
+async function waitForListening(chrome) {
+  for (let i = 0; i < 100; i++) {
+    const { status } = await sendFromPopup(chrome, { type: 'GET_NATIVE_HOST_STATUS' });
+    if (status.listening) return status;
+    if (status.error) throw new Error(status.error);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('The native host did not start listening');
+}
+
+// ============================================================================
+// SELF TEST
+// ============================================================================
+
+function request(method, route, { key, body, raw } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: PORT,
+      method,
+      path: route,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(key ? { Authorization: `Bearer ${key}` } : {})
+      }
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], text }));
+    });
+    req.on('error', reject);
+    if (body !== undefined) req.write(raw ? body : JSON.stringify(body));
+    req.end();
+  });
+}
+
+function sseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(event => event.replace(/^data: /, ''));
+}
+
+async function selfTest(key) {
+  const messages = [{ role: 'user', content: 'hello there' }];
+  const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object' } } }];
+  const checks = [
+    ['GET /v1/models lists the webapp models', async () => {
+      const res = await request('GET', '/v1/models', { key });
+      const body = JSON.parse(res.text);
+      return res.status === 200 && body.object === 'list' && body.data[0].id === 'edge-ai-stub';
+    }],
+    ['POST /v1/chat/completions answers a chat.completion', async () => {
+      const res = await request('POST', '/v1/chat/completions', { key, body: { model: 'edge-ai', messages } });
+      const body = JSON.parse(res.text);
+      return res.status === 200 && body.object === 'chat.completion' && body.choices[0].message.content === 'Echo: hello there';
+    }],
+    ['stream: true answers with SSE chunks and [DONE]', async () => {
+      const res = await request('POST', '/v1/chat/completions', { key, body: { messages, stream: true } });
+      const events = sseEvents(res.text);
+      const chunks = events.slice(0, -1).map(event => JSON.parse(event));
+      const content = chunks.map(chunk => chunk.choices[0].delta.content || '').join('');
+      return res.status === 200 && res.type.startsWith('text/event-stream')
+        && events[events.length - 1] === '[DONE]' && content === 'Echo: hello there'
+        && chunks[chunks.length - 1].choices[0].finish_reason === 'stop';
+    }],
+    ['tools come back as tool_calls', async () => {
+      const res = await request('POST', '/v1/chat/completions', { key, body: { messages, tools, tool_choice: 'auto' } });
+      const choice = JSON.parse(res.text).choices[0];
+      return choice.finish_reason === 'tool_calls' && choice.message.tool_calls[0].function.arguments === '{"echo":true}';
+    }],
+    ['streamed tool calls end with finish_reason tool_calls', async () => {
+      const res = await request('POST', '/v1/chat/completions', { key, body: { messages, tools, stream: true } });
+      const chunks = sseEvents(res.text).slice(0, -1).map(event => JSON.parse(event));
+      const delta = chunks[0].choices[0].delta;
+      return delta.tool_calls[0].id === 'call_stub' && chunks[chunks.length - 1].choices[0].finish_reason === 'tool_calls';
+    }],
+    ['POST /v1/embeddings returns one vector per input', async () => {
+      const res = await request('POST', '/v1/embeddings', { key, body: { input: ['a', 'bcd'] } });
+      const body = JSON.parse(res.text);
+      return res.status === 200 && body.data.length === 2 && body.data[1].embedding[1] === 3;
+    }],
+    ['a missing key is a 401 invalid_api_key', async () => {
+      const res = await request('GET', '/v1/models');
+      return res.status === 401 && JSON.parse(res.text).error.code === 'invalid_api_key';
+    }],
+    ['a wrong key is a 401 even when streaming', async () => {
+      const res = await request('POST', '/v1/chat/completions', { key: 'sk-edgeai-wrong', body: { messages, stream: true } });
+      return res.status === 401 && JSON.parse(res.text).error.code === 'invalid_api_key';
+    }],
+    ['an invalid body is a 400 with param', async () => {
+      const res = await request('POST', '/v1/chat/completions', { key, body: { messages, tool_choice: 'auto' } });
+      return res.status === 400 && JSON.parse(res.text).error.param === 'tool_choice';
+    }],
+    ['malformed JSON is a 400', async () => {
+      const res = await request('POST', '/v1/chat/completions', { key, body: '{', raw: true });
+      return res.status === 400;
+    }],
+    ['unknown routes are a 404', async () => {
+      const res = await request('GET', '/v1/nope', { key });
+      return res.status === 404 && JSON.parse(res.text).error.code === 'unknown_url';
+    }]
+  ];
+
+  return runChecks(checks);
+}
+
+async function main() {
+  const chrome = createChrome();
+  loadBackground(chrome);
+  await registerWebApp(chrome);
+
+  const created = await sendFromPopup(chrome, { type: 'CREATE_API_KEY', name: 'stub', rateLimit: 0 });
+  await chrome.storage.local.set({ permissionPolicy: { chat: 'ask' }, nativeHost: { enabled: true, port: PORT } });
+  const status = await waitForListening(chrome);
+
+  if (!SELF_TEST) {
+    console.log(`Edge.AI stub browser: http://127.0.0.1:${status.port}/v1`);
+    console.log(`API key: ${created.key}`);
+    console.log(`curl http://127.0.0.1:${status.port}/v1/models -H "Authorization: Bearer ${created.key}"`);
+    return;
+  }
+
+  await selfTest(created.key);
+  await chrome.storage.local.set({ nativeHost: { enabled: false, port: PORT } });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
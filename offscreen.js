@@ -0,0 +1,23 @@
+// Offscreen document - Parses HTML fetched by the background worker
+// The service worker has no DOMParser, so headless extraction runs here.
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return false;
+
+  if (request.type === 'PARSE_AND_EXTRACT') {
+    const doc = new DOMParser().parseFromString(request.html, 'text/html');
+
+    // Resolve relative links against the page, not the extension
+    const base = doc.createElement('base');
+    base.href = request.url;
+    doc.head.prepend(base);
+
+    sendResponse({
+      ...extractPageContent(doc, request.url, { structured: true }),
+      clientRendered: looksClientRendered(doc)
+    });
+    return false;
+  }
+});
+
+console.log('[EdgeAI Offscreen] Offscreen document loaded');
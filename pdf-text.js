@@ -0,0 +1,665 @@
+// PDF text extractor - Used by the background worker for PDF links and tabs
+// The browser PDF viewer never runs content scripts, so PDFs are fetched and
+// parsed in the service worker. This is a small text extractor written for
+// Edge.AI, not Mozilla's PDF.js and not a renderer: it resolves the page
+// tree, inflates FlateDecode streams (including object streams) and maps
+// glyph codes through ToUnicode CMaps.
+//
+// Not supported:
+// - Encrypted files (rejected)
+// - CID (Type0) fonts without a ToUnicode CMap: their glyph codes can't be
+//   mapped to text, so that text is left out
+// - Filters other than FlateDecode and ASCIIHexDecode (LZW, RunLength,
+//   ASCII85, JBIG2, DCT...): those streams are skipped
+// - Scanned pages, which have no text to extract (no OCR)
+
+// Windows-1252 characters that differ from Latin-1 (simple fonts without ToUnicode)
+const WIN_ANSI_EXTRAS = {
+  0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”',
+  0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™'
+};
+
+/**
+ * Parse a PDF into { pages: string[], info }
+ */
+export async function parsePdf(bytes) {
+  const raw = bytesToBinaryString(bytes);
+  const header = raw.indexOf('%PDF-');
+  if (header < 0 || header > 1024) throw new Error('Not a PDF file');
+
+  const pdf = { raw, bytes, objects: indexPdfObjects(raw), parsed: new Map(), fonts: new Map() };
+  await loadObjectStreams(pdf);
+
+  const trailer = findPdfTrailer(pdf);
+  if (trailer.Encrypt) throw new Error('Encrypted PDFs are not supported');
+
+  const pages = [];
+  for (const page of collectPdfPages(pdf, trailer)) {
+    try {
+      pages.push(await extractPdfPageText(pdf, page));
+    } catch (error) {
+      console.warn('[EdgeAI] Could not read PDF page:', error.message);
+      pages.push('');
+    }
+  }
+
+  return { pages, info: readPdfInfo(pdf, trailer) };
+}
+
+/**
+ * Locate every "N G obj ... endobj". Streams are sliced by their direct
+ * /Length when possible so binary data cannot be mistaken for keywords.
+ * Later definitions win, which matches incremental updates.
+ */
+function indexPdfObjects(raw) {
+  const objects = new Map();
+  const objRegex = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+
+  while ((match = objRegex.exec(raw)) !== null) {
+    const bodyStart = objRegex.lastIndex;
+    let dict;
+    try {
+      dict = parsePdfValue(raw, bodyStart);
+    } catch (e) {
+      continue;
+    }
+
+    let stream = null;
+    let searchFrom = dict.end;
+    const streamKeyword = /^\s*stream(\r\n|\n|\r)/.exec(raw.slice(dict.end, dict.end + 32));
+
+    if (streamKeyword && dict.value && typeof dict.value === 'object') {
+      const dataStart = dict.end + streamKeyword[0].length;
+      const length = dict.value.Length;
+      let dataEnd = typeof length === 'number' ? dataStart + length : -1;
+
+      if (dataEnd < 0 || !/^\s*endstream/.test(raw.slice(dataEnd, dataEnd + 32))) {
+        dataEnd = raw.indexOf('endstream', dataStart);
+        if (dataEnd < 0) break;
+        while (dataEnd > dataStart && (raw[dataEnd - 1] === '\n' || raw[dataEnd - 1] === '\r')) dataEnd--;
+      }
+
+      stream = { start: dataStart, end: dataEnd };
+      searchFrom = dataEnd;
+    }
+
+    objects.set(Number(match[1]), { source: raw, start: bodyStart, stream });
+
+    const endObj = raw.indexOf('endobj', searchFrom);
+    if (endObj < 0) break;
+    objRegex.lastIndex = endObj + 6;
+  }
+
+  return objects;
+}
+
+/**
+ * Compressed object streams (PDF 1.5+) hold most dictionaries of modern files
+ */
+async function loadObjectStreams(pdf) {
+  for (const [number, entry] of [...pdf.objects]) {
+    if (!entry.stream) continue;
+
+    const dict = getPdfObject(pdf, number);
+    if (!dict || dict.Type !== '/ObjStm') continue;
+
+    const data = await decodePdfStream(pdf, number);
+    if (!data) continue;
+
+    const first = dict.First || 0;
+    const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i + 1 < header.length; i += 2) {
+      const objectNumber = header[i];
+      if (pdf.objects.has(objectNumber) && pdf.objects.get(objectNumber).stream) continue;
+      pdf.objects.set(objectNumber, { source: data, start: first + header[i + 1], stream: null });
+      pdf.parsed.delete(objectNumber);
+    }
+  }
+}
+
+function getPdfObject(pdf, number) {
+  if (pdf.parsed.has(number)) return pdf.parsed.get(number);
+
+  const entry = pdf.objects.get(number);
+  let value = null;
+  if (entry) {
+    try {
+      value = parsePdfValue(entry.source, entry.start).value;
+    } catch (e) {}
+  }
+
+  pdf.parsed.set(number, value);
+  return value;
+}
+
+function resolvePdf(pdf, value, depth = 0) {
+  if (value && typeof value === 'object' && value.ref !== undefined && depth < 20) {
+    return resolvePdf(pdf, getPdfObject(pdf, value.ref), depth + 1);
+  }
+  return value;
+}
+
+/**
+ * Decode a stream object. Returns a binary string, or null for filters we
+ * cannot handle (images, encryption...).
+ */
+async function decodePdfStream(pdf, number) {
+  const entry = pdf.objects.get(number);
+  const dict = getPdfObject(pdf, number);
+  if (!entry || !entry.stream || !dict) return null;
+
+  let data = pdf.bytes.subarray(entry.stream.start, entry.stream.end);
+  const filters = [].concat(resolvePdf(pdf, dict.Filter) || []);
+
+  for (const filter of filters) {
+    if (filter === '/FlateDecode' || filter === '/Fl') {
+      data = await inflateBytes(data);
+    } else if (filter === '/ASCIIHexDecode' || filter === '/AHx') {
+      data = hexToBytes(bytesToBinaryString(data).replace(/>.*$/s, ''));
+    } else {
+      return null;
+    }
+  }
+
+  return bytesToBinaryString(data);
+}
+
+/**
+ * zlib inflate with DecompressionStream. Many PDFs leave junk after the
+ * compressed data, so whatever was decoded before an error is kept.
+ */
+async function inflateBytes(bytes) {
+  const stream = new DecompressionStream('deflate');
+  const writer = stream.writable.getWriter();
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+    }
+  } catch (error) {
+    if (chunks.length === 0) throw error;
+  }
+
+  const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+}
+
+/**
+ * Merge the classic trailers and cross-reference stream dictionaries,
+ * newest first
+ */
+function findPdfTrailer(pdf) {
+  const trailer = {};
+  const merge = (dict) => {
+    if (!dict || typeof dict !== 'object') return;
+    ['Root', 'Info', 'Encrypt'].forEach((key) => {
+      if (trailer[key] === undefined && dict[key] !== undefined) trailer[key] = dict[key];
+    });
+  };
+
+  let index = pdf.raw.lastIndexOf('trailer');
+  while (index >= 0) {
+    try {
+      merge(parsePdfValue(pdf.raw, index + 'trailer'.length).value);
+    } catch (e) {}
+    index = pdf.raw.lastIndexOf('trailer', index - 1);
+  }
+
+  [...pdf.objects.keys()].reverse().forEach((number) => {
+    const dict = getPdfObject(pdf, number);
+    if (dict && dict.Type === '/XRef') merge(dict);
+  });
+
+  if (!trailer.Root) {
+    const catalog = [...pdf.objects.keys()].find(number => (getPdfObject(pdf, number) || {}).Type === '/Catalog');
+    if (catalog !== undefined) trailer.Root = { ref: catalog };
+  }
+
+  return trailer;
+}
+
+/**
+ * Walk the page tree in reading order, carrying inherited /Resources
+ */
+function collectPdfPages(pdf, trailer) {
+  const pages = [];
+  const seen = new Set();
+
+  const visit = (value, inheritedResources, depth) => {
+    if (value && value.ref !== undefined) {
+      if (seen.has(value.ref)) return;
+      seen.add(value.ref);
+    }
+
+    const node = resolvePdf(pdf, value);
+    if (!node || typeof node !== 'object' || depth > 64) return;
+
+    const resources = node.Resources !== undefined ? node.Resources : inheritedResources;
+    const kids = resolvePdf(pdf, node.Kids);
+    if (Array.isArray(kids)) {
+      kids.forEach(kid => visit(kid, resources, depth + 1));
+    } else if (node.Type === '/Page' || node.Contents !== undefined) {
+      pages.push({ dict: node, resources });
+    }
+  };
+
+  const catalog = resolvePdf(pdf, trailer.Root);
+  if (catalog) visit(catalog.Pages, undefined, 0);
+  if (pages.length > 0) return pages;
+
+  // Broken page tree: fall back to every /Page object in file order
+  return [...pdf.objects.keys()]
+    .sort((a, b) => a - b)
+    .map(number => getPdfObject(pdf, number))
+    .filter(dict => dict && dict.Type === '/Page')
+    .map(dict => ({ dict, resources: dict.Resources }));
+}
+
+async function extractPdfPageText(pdf, page) {
+  const contents = [].concat(page.dict.Contents || []);
+  let stream = '';
+  for (const content of contents) {
+    if (content && content.ref !== undefined) {
+      stream += ((await decodePdfStream(pdf, content.ref)) || '') + '\n';
+    }
+  }
+
+  const resources = resolvePdf(pdf, page.resources) || {};
+  const fontDict = resolvePdf(pdf, resources.Font) || {};
+  const fonts = {};
+  for (const name of Object.keys(fontDict)) {
+    fonts[name] = await loadPdfFont(pdf, fontDict[name]);
+  }
+
+  return readContentStreamText(stream, fonts);
+}
+
+/**
+ * Load a font's ToUnicode CMap (cached per font object)
+ */
+async function loadPdfFont(pdf, value) {
+  const key = value && value.ref !== undefined ? value.ref : null;
+  if (key !== null && pdf.fonts.has(key)) return pdf.fonts.get(key);
+
+  const font = resolvePdf(pdf, value) || {};
+  const info = { map: null, codeBytes: font.Subtype === '/Type0' ? 2 : 1 };
+
+  if (font.ToUnicode && font.ToUnicode.ref !== undefined) {
+    const cmap = await decodePdfStream(pdf, font.ToUnicode.ref);
+    if (cmap) Object.assign(info, parseToUnicodeCMap(cmap, info.codeBytes));
+  }
+
+  if (key !== null) pdf.fonts.set(key, info);
+  return info;
+}
+
+function parseToUnicodeCMap(cmap, defaultCodeBytes) {
+  const map = new Map();
+  let codeBytes = defaultCodeBytes;
+
+  // Hex strings may contain whitespace (pdfkit writes ligatures as <0066 0069>)
+  cmap = cmap.replace(/<([0-9a-f\s]*)>/gi, (match, hex) => `<${hex.replace(/\s+/g, '')}>`);
+
+  const codespace = /begincodespacerange\s*<([0-9a-f]+)>/i.exec(cmap);
+  if (codespace) codeBytes = Math.max(1, Math.ceil(codespace[1].length / 2));
+
+  const sections = (name) => {
+    const regex = new RegExp(`begin${name}([\\s\\S]*?)end${name}`, 'g');
+    const bodies = [];
+    let match;
+    while ((match = regex.exec(cmap)) !== null) bodies.push(match[1]);
+    return bodies;
+  };
+
+  sections('bfchar').forEach((body) => {
+    const pairRegex = /<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi;
+    let pair;
+    while ((pair = pairRegex.exec(body)) !== null) {
+      map.set(parseInt(pair[1], 16), utf16HexToString(pair[2]));
+    }
+  });
+
+  sections('bfrange').forEach((body) => {
+    const rangeRegex = /<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi;
+    let range;
+    while ((range = rangeRegex.exec(body)) !== null) {
+      const low = parseInt(range[1], 16);
+      const high = Math.min(parseInt(range[2], 16), low + 0xFFFF);
+
+      if (range[3][0] === '[') {
+        const targets = range[3].match(/<([0-9a-f]*)>/gi) || [];
+        targets.forEach((target, i) => map.set(low + i, utf16HexToString(target.slice(1, -1))));
+      } else {
+        const base = utf16HexToString(range[3].slice(1, -1));
+        const prefix = base.slice(0, -1);
+        const lastCode = base.charCodeAt(base.length - 1);
+        for (let code = low; code <= high; code++) {
+          map.set(code, prefix + String.fromCharCode(lastCode + code - low));
+        }
+      }
+    }
+  });
+
+  return { map, codeBytes };
+}
+
+/**
+ * Interpret the text operators of a content stream. Line breaks come from
+ * vertical moves (Td, TD, T*, Tm, ' and ") and spaces from wide TJ kerning gaps.
+ */
+function readContentStreamText(stream, fonts) {
+  let text = '';
+  let font = null;
+  let lastY = null;
+  let operands = [];
+  let position = 0;
+
+  const newline = () => {
+    if (text && !text.endsWith('\n')) text += '\n';
+  };
+  const show = (value) => {
+    if (value && value.str !== undefined) text += decodePdfString(value.str, font);
+  };
+
+  while (position < stream.length) {
+    let token;
+    try {
+      token = parsePdfValue(stream, position);
+    } catch (e) {
+      position++;
+      continue;
+    }
+    if (token.end <= position) break;
+    position = token.end;
+
+    const value = token.value;
+    if (!value || value.op === undefined) {
+      operands.push(value);
+      continue;
+    }
+
+    switch (value.op) {
+      case 'Tf':
+        font = fonts[String(operands[0] || '').slice(1)] || null;
+        break;
+      case 'Td':
+      case 'TD':
+        if (operands[1]) newline();
+        else if (operands[0] > 0 && text && !/\s$/.test(text)) text += ' ';
+        break;
+      case 'Tm': {
+        const y = operands[5];
+        if (lastY !== null && Math.abs(y - lastY) > 1) newline();
+        else if (text && !/\s$/.test(text)) text += ' ';
+        lastY = y;
+        break;
+      }
+      case 'T*':
+        newline();
+        break;
+      case "'":
+      case '"':
+        newline();
+        show(operands[operands.length - 1]);
+        break;
+      case 'Tj':
+        show(operands[0]);
+        break;
+      case 'TJ':
+        (Array.isArray(operands[0]) ? operands[0] : []).forEach((item) => {
+          if (typeof item === 'number') {
+            if (item < -200 && text && !/\s$/.test(text)) text += ' ';
+          } else {
+            show(item);
+          }
+        });
+        break;
+      case 'ID': {
+        // Inline image data is binary: skip to the EI operator
+        const end = stream.slice(position).search(/\sEI(\s|$)/);
+        position = end < 0 ? stream.length : position + end + 3;
+        break;
+      }
+    }
+    operands = [];
+  }
+
+  return text
+    .split('\n')
+    .map(line => line.replace(/[\x00-\x08\x0B-\x1F]/g, '').replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function decodePdfString(bytes, font) {
+  if (!font || !font.map) {
+    // Two-byte glyph ids without a ToUnicode map cannot be mapped to text
+    if (font && font.codeBytes === 2) return '';
+    return [...bytes].map(char => WIN_ANSI_EXTRAS[char.charCodeAt(0)] || char).join('');
+  }
+
+  let output = '';
+  for (let i = 0; i + font.codeBytes <= bytes.length; i += font.codeBytes) {
+    let code = 0;
+    for (let k = 0; k < font.codeBytes; k++) code = code * 256 + bytes.charCodeAt(i + k);
+    const mapped = font.map.get(code);
+    if (mapped !== undefined) output += mapped;
+    else if (font.codeBytes === 1) output += String.fromCharCode(code);
+  }
+  return output;
+}
+
+function readPdfInfo(pdf, trailer) {
+  const info = resolvePdf(pdf, trailer.Info) || {};
+  const catalog = resolvePdf(pdf, trailer.Root) || {};
+  const text = (value) => {
+    const resolved = resolvePdf(pdf, value);
+    return resolved && resolved.str !== undefined ? decodePdfTextString(resolved.str).trim() || null : null;
+  };
+
+  return {
+    title: text(info.Title),
+    author: text(info.Author),
+    subject: text(info.Subject),
+    createdAt: parsePdfDate(text(info.CreationDate)),
+    modifiedAt: parsePdfDate(text(info.ModDate)),
+    language: text(catalog.Lang)
+  };
+}
+
+/**
+ * Text strings are UTF-16BE with a BOM, or PDFDocEncoding (close to Latin-1)
+ */
+function decodePdfTextString(bytes) {
+  if (bytes.startsWith('\xFE\xFF')) {
+    let output = '';
+    for (let i = 2; i + 1 < bytes.length; i += 2) {
+      output += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+    }
+    return output;
+  }
+  return bytes;
+}
+
+/**
+ * D:YYYYMMDDHHmmSS+HH'mm' -> ISO 8601
+ */
+function parsePdfDate(value) {
+  const match = /^D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Z+-])?(\d{2})?'?(\d{2})?/.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, tzHour = '00', tzMinute = '00'] = match;
+  const zone = !sign || sign === 'Z' ? 'Z' : `${sign}${tzHour}:${tzMinute}`;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Parse one PDF object starting at `position`. Returns { value, end }.
+ * Names are '/Name' strings, strings are { str } (binary), references are
+ * { ref }, and bare keywords (content stream operators) are { op }.
+ */
+function parsePdfValue(source, position) {
+  position = skipPdfWhitespace(source, position);
+  const char = source[position];
+
+  if (char === undefined) return { value: null, end: position };
+
+  if (char === '<' && source[position + 1] === '<') {
+    const dict = {};
+    position += 2;
+    while (true) {
+      position = skipPdfWhitespace(source, position);
+      if (position >= source.length) break;
+      if (source.startsWith('>>', position)) {
+        position += 2;
+        break;
+      }
+      const key = parsePdfValue(source, position);
+      if (typeof key.value !== 'string' || key.end <= position) throw new Error('Invalid PDF dictionary');
+      const entry = parsePdfValue(source, key.end);
+      dict[key.value.slice(1)] = entry.value;
+      position = entry.end;
+    }
+    return { value: dict, end: position };
+  }
+
+  if (char === '[') {
+    const array = [];
+    position++;
+    while (true) {
+      position = skipPdfWhitespace(source, position);
+      if (position >= source.length) break;
+      if (source[position] === ']') {
+        position++;
+        break;
+      }
+      const item = parsePdfValue(source, position);
+      if (item.end <= position) throw new Error('Invalid PDF array');
+      array.push(item.value);
+      position = item.end;
+    }
+    return { value: array, end: position };
+  }
+
+  if (char === '(') return parsePdfLiteralString(source, position);
+
+  if (char === '<') {
+    const end = source.indexOf('>', position);
+    const hex = source.slice(position + 1, end < 0 ? source.length : end).replace(/\s+/g, '');
+    return { value: { str: bytesToBinaryString(hexToBytes(hex)) }, end: end < 0 ? source.length : end + 1 };
+  }
+
+  if (char === '/') {
+    let end = position + 1;
+    while (end < source.length && !isPdfDelimiter(source[end])) end++;
+    const name = source.slice(position, end).replace(/#([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return { value: name, end };
+  }
+
+  let end = position;
+  while (end < source.length && !isPdfDelimiter(source[end])) end++;
+  if (end === position) return { value: { op: char }, end: position + 1 };
+  const word = source.slice(position, end);
+
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+    // "N G R" is an indirect reference
+    const reference = /^\s+(\d+)\s+R(?=[\s\/\[\]<>()%]|$)/.exec(source.slice(end, end + 24));
+    if (/^\d+$/.test(word) && reference) {
+      return { value: { ref: Number(word) }, end: end + reference[0].length };
+    }
+    return { value: Number(word), end };
+  }
+
+  if (word === 'true' || word === 'false') return { value: word === 'true', end };
+  if (word === 'null') return { value: null, end };
+  return { value: { op: word }, end };
+}
+
+function parsePdfLiteralString(source, position) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  let depth = 1;
+  let output = '';
+  let i = position + 1;
+
+  while (i < source.length && depth > 0) {
+    const char = source[i];
+    if (char === '\\') {
+      const next = source[i + 1];
+      if (escapes[next]) {
+        output += escapes[next];
+        i += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = /^[0-7]{1,3}/.exec(source.slice(i + 1, i + 4))[0];
+        output += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+        i += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        i += source[i + 2] === '\n' && next === '\r' ? 3 : 2; // Line continuation
+      } else {
+        output += next || '';
+        i += 2;
+      }
+      continue;
+    }
+
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth > 0) output += char;
+    i++;
+  }
+
+  return { value: { str: output }, end: i };
+}
+
+function skipPdfWhitespace(source, position) {
+  while (position < source.length) {
+    const char = source[position];
+    if (char === '%') {
+      while (position < source.length && source[position] !== '\n' && source[position] !== '\r') position++;
+    } else if (char === ' ' || char === '\n' || char === '\r' || char === '\t' || char === '\f' || char === '\0') {
+      position++;
+    } else {
+      break;
+    }
+  }
+  return position;
+}
+
+function isPdfDelimiter(char) {
+  return ' \n\r\t\f\0()<>[]{}/%'.includes(char);
+}
+
+function hexToBytes(hex) {
+  const clean = hex.length % 2 ? `${hex}0` : hex;
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(clean.substr(i * 2, 2), 16) || 0;
+  return bytes;
+}
+
+function utf16HexToString(hex) {
+  if (hex.length <= 2) return hex ? String.fromCharCode(parseInt(hex, 16)) : '';
+  let output = '';
+  for (let i = 0; i + 4 <= hex.length; i += 4) output += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+  return output;
+}
+
+function bytesToBinaryString(bytes) {
+  let output = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    output += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return output;
+}
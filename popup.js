@@ -5,11 +5,23 @@ const translations = {
     subtitle: "Browser Extension",
     statusTitle: "Status",
     statusActive: "Extension active",
+    currentPageTitle: "This page",
+    sendPageBtn: "Send this page to Edge.AI",
+    sendSelectionBtn: "Send selection only",
+    sendingPage: "Extracting...",
+    pageSent: "Sent to Edge.AI",
     permissionsTitle: "Permission Mode",
     askModeTitle: "🤔 Ask (Recommended)",
-    askModeDesc: "Confirmation will be requested before each web search",
+    askModeDesc: "Confirmation will be requested before each search, extraction, request or chat",
     permissiveModeTitle: "✅ Permissive",
-    permissiveModeDesc: "Allows all searches automatically without asking",
+    permissiveModeDesc: "Allows everything automatically without asking",
+    permissionSearchLabel: "Search and open pages",
+    permissionExtractLabel: "Extract URLs",
+    permissionFetchLabel: "HTTP requests (proxy)",
+    permissionChatLabel: "Chat API",
+    permissionAsk: "Ask",
+    permissionAllow: "Allow",
+    permissionDeny: "Deny",
     savedMessage: "✓ Settings saved",
     updatesTitle: "Updates",
     checkUpdatesBtn: "Check for updates",
@@ -21,17 +33,85 @@ const translations = {
     downloadPatch: "Download Patch",
     apiStatusTitle: "Network Services",
     inboundApi: "Exposing API (Server)",
-    outboundApi: "Consuming API (Client)"
+    outboundApi: "Consuming API (Client)",
+    searchSettingsTitle: "Search",
+    maxResultsLabel: "Max results",
+    maxPagesLabel: "Pages to extract",
+    resultsPerEngineLabel: "Results per engine",
+    pageTimeoutLabel: "Timeout per page (s)",
+    concurrencyLabel: "Pages in parallel",
+    extractionModeLabel: "Extraction mode",
+    extractionModeAuto: "Automatic",
+    extractionModeFetch: "No tabs",
+    extractionModeTab: "Tabs",
+    chunkingLabel: "Split into chunks (RAG)",
+    chunkTokensLabel: "Chunk size (tokens)",
+    chunkOverlapLabel: "Overlap (tokens)",
+    providersTitle: "Search engines",
+    wikipediaLanguageLabel: "Language (en, es, fr...)",
+    searxngUrlLabel: "Instance URL",
+    braveApiKeyLabel: "API key",
+    domainsTitle: "Domains",
+    allowDomainsLabel: "Always allow (one per line)",
+    blockDomainsLabel: "Block (one per line)",
+    privateNetworkLabel: "Local network (localhost, 192.168.*, 10.*)",
+    privateNetworkFetchOnly: "Proxy only",
+    privateNetworkBlock: "Block",
+    apiKeysTitle: "API keys",
+    apiKeyNameLabel: "Name",
+    apiKeyOriginsLabel: "Allowed origins (one per line, empty = any). Keys with origins don't work on the local server",
+    apiKeyRateLimitLabel: "Requests per minute (0 = unlimited)",
+    apiKeyExpiryLabel: "Expires",
+    apiKeyExpiryNever: "Never",
+    apiKeyExpiry7: "7 days",
+    apiKeyExpiry30: "30 days",
+    apiKeyExpiry90: "90 days",
+    createApiKeyBtn: "Create key",
+    apiKeyCreatedText: "Copy the key now, it won't be shown again:",
+    copyApiKeyBtn: "Copy",
+    apiKeyCopied: "Copied",
+    revokeApiKeyBtn: "Revoke",
+    noApiKeys: "No keys yet: the chat API rejects every request",
+    apiKeyAnyOrigin: "any origin",
+    apiKeyNotLocalServer: "not for the local server",
+    apiKeyUnlimited: "no limit",
+    apiKeyPerMinute: "req/min",
+    apiKeyExpires: "expires",
+    apiKeyExpired: "expired",
+    apiKeyLastUsed: "last used",
+    apiKeyNeverUsed: "never used",
+    nativeHostTitle: "Local server",
+    nativeHostEnabledLabel: "Serve the API on 127.0.0.1",
+    nativeHostPortLabel: "Port",
+    nativeHostOff: "Off",
+    nativeHostStarting: "Starting...",
+    nativeHostListening: "Listening on",
+    webAppTabsLabel: "Edge.AI tabs",
+    webAppTabsIdle: "idle",
+    webAppTabsQueued: "queued",
+    autoOpenWebAppLabel: "Open Edge.AI pinned if none is open"
   },
   es: {
     subtitle: "Extensión de Navegador",
     statusTitle: "Estado",
     statusActive: "Extensión activa",
+    currentPageTitle: "Esta página",
+    sendPageBtn: "Enviar esta página a Edge.AI",
+    sendSelectionBtn: "Enviar solo la selección",
+    sendingPage: "Extrayendo...",
+    pageSent: "Enviada a Edge.AI",
     permissionsTitle: "Modo de Permisos",
     askModeTitle: "🤔 Preguntar (Recomendado)",
-    askModeDesc: "Se pedirá confirmación antes de cada búsqueda web",
+    askModeDesc: "Se pedirá confirmación antes de cada búsqueda, extracción, petición o chat",
     permissiveModeTitle: "✅ Permisivo",
-    permissiveModeDesc: "Permite todas las búsquedas automáticamente sin preguntar",
+    permissiveModeDesc: "Permite todo automáticamente sin preguntar",
+    permissionSearchLabel: "Buscar y abrir páginas",
+    permissionExtractLabel: "Extraer URLs",
+    permissionFetchLabel: "Peticiones HTTP (proxy)",
+    permissionChatLabel: "API de chat",
+    permissionAsk: "Preguntar",
+    permissionAllow: "Permitir",
+    permissionDeny: "Denegar",
     savedMessage: "✓ Configuración guardada",
     updatesTitle: "Actualizaciones",
     checkUpdatesBtn: "Buscar actualizaciones",
@@ -43,7 +123,63 @@ const translations = {
     downloadPatch: "Descargar Parche",
     apiStatusTitle: "Servicios de Red",
     inboundApi: "Exponiendo API (Servidor)",
-    outboundApi: "Consumiendo API (Cliente)"
+    outboundApi: "Consumiendo API (Cliente)",
+    searchSettingsTitle: "Búsqueda",
+    maxResultsLabel: "Resultados máximos",
+    maxPagesLabel: "Páginas a extraer",
+    resultsPerEngineLabel: "Resultados por buscador",
+    pageTimeoutLabel: "Timeout por página (s)",
+    concurrencyLabel: "Páginas en paralelo",
+    extractionModeLabel: "Modo de extracción",
+    extractionModeAuto: "Automático",
+    extractionModeFetch: "Sin pestañas",
+    extractionModeTab: "Pestañas",
+    chunkingLabel: "Dividir en chunks (RAG)",
+    chunkTokensLabel: "Tamaño de chunk (tokens)",
+    chunkOverlapLabel: "Solapamiento (tokens)",
+    providersTitle: "Buscadores",
+    wikipediaLanguageLabel: "Idioma (en, es, fr...)",
+    searxngUrlLabel: "URL de la instancia",
+    braveApiKeyLabel: "API key",
+    domainsTitle: "Dominios",
+    allowDomainsLabel: "Permitir siempre (uno por línea)",
+    blockDomainsLabel: "Bloquear (uno por línea)",
+    privateNetworkLabel: "Red local (localhost, 192.168.*, 10.*)",
+    privateNetworkFetchOnly: "Solo proxy",
+    privateNetworkBlock: "Bloquear",
+    apiKeysTitle: "Claves API",
+    apiKeyNameLabel: "Nombre",
+    apiKeyOriginsLabel: "Orígenes permitidos (uno por línea, vacío = todos). Las claves con orígenes no sirven en el servidor local",
+    apiKeyRateLimitLabel: "Peticiones por minuto (0 = sin límite)",
+    apiKeyExpiryLabel: "Caduca",
+    apiKeyExpiryNever: "Nunca",
+    apiKeyExpiry7: "7 días",
+    apiKeyExpiry30: "30 días",
+    apiKeyExpiry90: "90 días",
+    createApiKeyBtn: "Crear clave",
+    apiKeyCreatedText: "Copia la clave ahora, no se volverá a mostrar:",
+    copyApiKeyBtn: "Copiar",
+    apiKeyCopied: "Copiada",
+    revokeApiKeyBtn: "Revocar",
+    noApiKeys: "Sin claves: la API de chat rechaza todas las peticiones",
+    apiKeyAnyOrigin: "cualquier origen",
+    apiKeyNotLocalServer: "no vale en el servidor local",
+    apiKeyUnlimited: "sin límite",
+    apiKeyPerMinute: "pet/min",
+    apiKeyExpires: "caduca",
+    apiKeyExpired: "caducada",
+    apiKeyLastUsed: "último uso",
+    apiKeyNeverUsed: "sin usar",
+    nativeHostTitle: "Servidor local",
+    nativeHostEnabledLabel: "Servir la API en 127.0.0.1",
+    nativeHostPortLabel: "Puerto",
+    nativeHostOff: "Desactivado",
+    nativeHostStarting: "Iniciando...",
+    nativeHostListening: "Escuchando en",
+    webAppTabsLabel: "Pestañas de Edge.AI",
+    webAppTabsIdle: "libres",
+    webAppTabsQueued: "en cola",
+    autoOpenWebAppLabel: "Abrir Edge.AI fijada si no hay ninguna"
   }
 };
 
@@ -63,6 +199,9 @@ function setLanguage(lang) {
   const selector = document.getElementById('languageSelect');
   if (selector) selector.value = lang;
 
+  // The key list is rendered from JS, so it has to be redrawn
+  renderApiKeys();
+
   // Update download button text if visible
   chrome.storage.local.get(['pendingUpdate'], (result) => {
     if (result.pendingUpdate) {
@@ -94,6 +233,375 @@ function showDownloadButton(updateData) {
   }
 }
 
+// Helper to show the saved confirmation
+function showSavedMessage() {
+  const savedMessage = document.getElementById('savedMessage');
+  savedMessage.classList.add('show');
+
+  setTimeout(() => {
+    savedMessage.classList.remove('show');
+  }, 2000);
+}
+
+// Helper to load search settings (background resolves defaults)
+function loadSearchSettings() {
+  chrome.runtime.sendMessage({ type: 'GET_SEARCH_SETTINGS' }, (settings) => {
+    if (!settings) return;
+
+    document.querySelectorAll('[data-setting]').forEach(input => {
+      const scale = Number(input.dataset.scale) || 1;
+      const value = settings[input.dataset.setting];
+      if (value === undefined) return;
+
+      if (input.type === 'checkbox') {
+        input.checked = !!value;
+      } else {
+        input.value = input.type === 'number' ? Math.round(value / scale) : value;
+      }
+    });
+  });
+}
+
+// Helper to save search settings from the inputs
+function saveSearchSettings() {
+  const searchSettings = {};
+
+  document.querySelectorAll('[data-setting]').forEach(input => {
+    if (input.type === 'checkbox') {
+      searchSettings[input.dataset.setting] = input.checked;
+      return;
+    }
+
+    if (input.type !== 'number') {
+      searchSettings[input.dataset.setting] = input.value;
+      return;
+    }
+
+    const scale = Number(input.dataset.scale) || 1;
+    const value = parseInt(input.value, 10);
+    if (!Number.isNaN(value)) searchSettings[input.dataset.setting] = value * scale;
+  });
+
+  chrome.storage.local.set({ searchSettings }, () => {
+    console.log('[Popup] Search settings saved:', searchSettings);
+    showSavedMessage();
+    // Reload to show the values after background clamping
+    loadSearchSettings();
+  });
+}
+
+// Helper to load search provider settings
+function loadProviderSettings() {
+  chrome.runtime.sendMessage({ type: 'GET_PROVIDER_SETTINGS' }, (response) => {
+    if (!response) return;
+    const { settings } = response;
+
+    document.querySelectorAll('[data-provider]').forEach(checkbox => {
+      checkbox.checked = !!settings.enabled[checkbox.dataset.provider];
+    });
+    document.querySelectorAll('[data-provider-setting]').forEach(input => {
+      input.value = settings[input.dataset.providerSetting] || '';
+    });
+  });
+}
+
+// Helper to save search provider settings
+function saveProviderSettings() {
+  const searchProviders = { enabled: {} };
+
+  document.querySelectorAll('[data-provider]').forEach(checkbox => {
+    searchProviders.enabled[checkbox.dataset.provider] = checkbox.checked;
+  });
+  document.querySelectorAll('[data-provider-setting]').forEach(input => {
+    searchProviders[input.dataset.providerSetting] = input.value.trim();
+  });
+
+  chrome.storage.local.set({ searchProviders }, () => {
+    console.log('[Popup] Search providers saved:', searchProviders.enabled);
+    showSavedMessage();
+  });
+}
+
+// Helper to send the active tab (or its selection) to the webapp
+async function sendActivePage(selectionOnly) {
+  const lang = document.getElementById('languageSelect').value || 'es';
+  const statusEl = document.getElementById('sendPageStatus');
+  const buttons = [document.getElementById('sendPageBtn'), document.getElementById('sendSelectionBtn')];
+
+  buttons.forEach(btn => { btn.disabled = true; });
+  statusEl.textContent = translations[lang].sendingPage;
+  statusEl.className = 'update-status';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SEND_ACTIVE_TAB', selectionOnly });
+    if (response && response.success) {
+      statusEl.textContent = `${translations[lang].pageSent}: ${response.title}`;
+      statusEl.className = 'update-status found';
+    } else {
+      statusEl.textContent = response?.error || translations[lang].updateError;
+      statusEl.className = 'update-status error';
+    }
+  } catch (err) {
+    statusEl.textContent = err.message;
+    statusEl.className = 'update-status error';
+  } finally {
+    buttons.forEach(btn => { btn.disabled = false; });
+  }
+}
+
+// Helper to load the domain allow/block policy
+function loadDomainPolicy() {
+  chrome.runtime.sendMessage({ type: 'GET_DOMAIN_POLICY' }, (policy) => {
+    if (!policy) return;
+
+    document.querySelectorAll('[data-domain-list]').forEach(textarea => {
+      textarea.value = policy[textarea.dataset.domainList].join('\n');
+    });
+    document.querySelectorAll('[data-domain-setting]').forEach(input => {
+      input.value = policy[input.dataset.domainSetting];
+    });
+  });
+}
+
+// Helper to save the domain policy (one pattern per line)
+function saveDomainPolicy() {
+  const domainPolicy = {};
+
+  document.querySelectorAll('[data-domain-list]').forEach(textarea => {
+    domainPolicy[textarea.dataset.domainList] = textarea.value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+  });
+  document.querySelectorAll('[data-domain-setting]').forEach(input => {
+    domainPolicy[input.dataset.domainSetting] = input.value;
+  });
+
+  chrome.storage.local.set({ domainPolicy }, () => {
+    console.log('[Popup] Domain policy saved:', domainPolicy);
+    showSavedMessage();
+  });
+}
+
+// Keys shown in the popup (never includes hashes or the keys themselves)
+let apiKeys = [];
+
+// Helper to load the API keys for the inbound chat bridge
+function loadApiKeys() {
+  chrome.runtime.sendMessage({ type: 'LIST_API_KEYS' }, (response) => {
+    if (!response || !response.success) return;
+    apiKeys = response.keys;
+    renderApiKeys();
+  });
+}
+
+function renderApiKeys() {
+  const list = document.getElementById('apiKeyList');
+  if (!list) return;
+
+  const lang = document.getElementById('languageSelect').value || 'es';
+  const t = translations[lang] || translations.en;
+  const formatDate = (time) => new Date(time).toLocaleDateString(lang);
+
+  list.replaceChildren();
+  if (!apiKeys.length) {
+    const empty = document.createElement('div');
+    empty.className = 'update-status';
+    empty.textContent = t.noApiKeys;
+    list.appendChild(empty);
+    return;
+  }
+
+  apiKeys.forEach(key => {
+    const expired = key.expiresAt && key.expiresAt <= Date.now();
+    const meta = [
+      `${key.prefix}…`,
+      key.origins.length ? key.origins.join(', ') : t.apiKeyAnyOrigin,
+      key.origins.length ? t.apiKeyNotLocalServer : null,
+      key.rateLimit ? `${key.rateLimit} ${t.apiKeyPerMinute}` : t.apiKeyUnlimited,
+      expired ? t.apiKeyExpired : key.expiresAt ? `${t.apiKeyExpires} ${formatDate(key.expiresAt)}` : null,
+      key.lastUsed ? `${t.apiKeyLastUsed} ${new Date(key.lastUsed).toLocaleString(lang)}` : t.apiKeyNeverUsed
+    ].filter(Boolean);
+
+    const item = document.createElement('div');
+    item.className = 'api-key-item';
+
+    const info = document.createElement('div');
+    const name = document.createElement('div');
+    name.className = 'api-key-name';
+    name.textContent = key.name;
+    const details = document.createElement('div');
+    details.className = 'api-key-meta';
+    details.textContent = meta.join(' · ');
+    info.append(name, details);
+
+    const revoke = document.createElement('button');
+    revoke.className = 'update-btn secondary';
+    revoke.textContent = t.revokeApiKeyBtn;
+    revoke.addEventListener('click', () => revokeApiKey(key.id));
+
+    item.append(info, revoke);
+    list.appendChild(item);
+  });
+}
+
+// Helper to create a key; the plaintext key is only available in this response
+async function createApiKey() {
+  const statusEl = document.getElementById('apiKeyStatus');
+  const button = document.getElementById('createApiKeyBtn');
+
+  button.disabled = true;
+  statusEl.textContent = '';
+  statusEl.className = 'update-status';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'CREATE_API_KEY',
+      name: document.getElementById('apiKeyName').value,
+      origins: document.getElementById('apiKeyOrigins').value.split('\n'),
+      rateLimit: document.getElementById('apiKeyRateLimit').value,
+      expiresInDays: document.getElementById('apiKeyExpiry').value
+    });
+
+    if (!response || !response.success) {
+      statusEl.textContent = response?.error || 'Error';
+      statusEl.className = 'update-status error';
+      return;
+    }
+
+    document.getElementById('apiKeyCreatedValue').textContent = response.key;
+    document.getElementById('apiKeyCreated').style.display = 'block';
+    document.getElementById('apiKeyName').value = '';
+    document.getElementById('apiKeyOrigins').value = '';
+    loadApiKeys();
+  } catch (err) {
+    statusEl.textContent = err.message;
+    statusEl.className = 'update-status error';
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function revokeApiKey(id) {
+  chrome.runtime.sendMessage({ type: 'REVOKE_API_KEY', id }, () => {
+    document.getElementById('apiKeyCreated').style.display = 'none';
+    loadApiKeys();
+  });
+}
+
+async function copyApiKey() {
+  const lang = document.getElementById('languageSelect').value || 'es';
+  const button = document.getElementById('copyApiKeyBtn');
+  await navigator.clipboard.writeText(document.getElementById('apiKeyCreatedValue').textContent);
+  button.textContent = translations[lang].apiKeyCopied;
+  setTimeout(() => {
+    button.textContent = translations[lang].copyApiKeyBtn;
+  }, 1500);
+}
+
+// Helper to load the native host settings
+function loadNativeHost() {
+  chrome.runtime.sendMessage({ type: 'GET_NATIVE_HOST_STATUS' }, (response) => {
+    if (!response) return;
+
+    document.querySelectorAll('[data-native-host]').forEach(input => {
+      const value = response.settings[input.dataset.nativeHost];
+      if (input.type === 'checkbox') input.checked = value;
+      else input.value = value;
+    });
+    renderNativeHostStatus(response);
+  });
+}
+
+// Helper to save the native host settings; background connects or disconnects on change
+function saveNativeHost() {
+  const nativeHost = {};
+  document.querySelectorAll('[data-native-host]').forEach(input => {
+    nativeHost[input.dataset.nativeHost] = input.type === 'checkbox' ? input.checked : parseInt(input.value, 10);
+  });
+
+  chrome.storage.local.set({ nativeHost }, () => {
+    console.log('[Popup] Native host saved:', nativeHost);
+    showSavedMessage();
+  });
+}
+
+function updateNativeHostStatus() {
+  chrome.runtime.sendMessage({ type: 'GET_NATIVE_HOST_STATUS' }, (response) => {
+    if (response) renderNativeHostStatus(response);
+  });
+}
+
+function renderNativeHostStatus({ settings, status }) {
+  const statusEl = document.getElementById('nativeHostStatus');
+  const lang = document.getElementById('languageSelect').value || 'es';
+  const t = translations[lang] || translations.en;
+
+  if (status.error) {
+    statusEl.textContent = status.error;
+    statusEl.className = 'update-status error';
+  } else if (status.listening) {
+    statusEl.textContent = `${t.nativeHostListening} http://127.0.0.1:${status.port}/v1`;
+    statusEl.className = 'update-status found';
+  } else {
+    statusEl.textContent = settings.enabled ? t.nativeHostStarting : t.nativeHostOff;
+    statusEl.className = 'update-status';
+  }
+}
+
+// Helper to load the per-action permission policy (background migrates old modes)
+function loadPermissionPolicy() {
+  chrome.runtime.sendMessage({ type: 'GET_PERMISSION_POLICY' }, (policy) => {
+    if (!policy) return;
+
+    document.querySelectorAll('[data-permission]').forEach(select => {
+      select.value = policy[select.dataset.permission];
+    });
+    updatePermissionPreset(policy);
+  });
+}
+
+// The two radios are presets: all 'ask' or all 'allow'. A mixed policy checks neither.
+function updatePermissionPreset(policy) {
+  const values = Object.values(policy);
+  const mode = values.every(value => value === 'allow') ? 'permissive'
+    : values.every(value => value === 'ask') ? 'ask'
+    : null;
+
+  document.querySelectorAll('input[name="permissionMode"]').forEach(radio => {
+    radio.checked = radio.value === mode;
+  });
+}
+
+// Helper to save the policy and notify content scripts
+function savePermissionPolicy() {
+  const permissionPolicy = {};
+  document.querySelectorAll('[data-permission]').forEach(select => {
+    permissionPolicy[select.dataset.permission] = select.value;
+  });
+
+  // permissionMode is kept for CONNECTION_READY and older webapp versions
+  const mode = Object.values(permissionPolicy).every(value => value === 'allow') ? 'permissive' : 'ask';
+
+  chrome.storage.local.set({ permissionPolicy, permissionMode: mode }, () => {
+    console.log('[Popup] Permission policy saved:', permissionPolicy);
+    showSavedMessage();
+    updatePermissionPreset(permissionPolicy);
+
+    // Notify all content scripts
+    chrome.tabs.query({}, (tabs) => {
+      tabs.forEach(tab => {
+        chrome.tabs.sendMessage(tab.id, {
+          type: 'PERMISSION_MODE_CHANGED',
+          mode
+        }).catch(() => {
+          // Ignore errors for tabs without content script
+        });
+      });
+    });
+  });
+}
+
 // Helper to update API status
 function updateApiStats() {
   chrome.runtime.sendMessage({ type: 'GET_API_STATS' }, (stats) => {
@@ -121,6 +629,17 @@ function updateApiStats() {
     if (inboundCount) inboundCount.textContent = `${stats.inbound.totalRequests} reqs`;
     if (outboundCount) outboundCount.textContent = `${stats.outbound.totalRequests} reqs`;
   });
+
+  chrome.runtime.sendMessage({ type: 'GET_WEBAPP_TABS' }, (summary) => {
+    const countEl = document.getElementById('webAppTabsCount');
+    if (!summary || !countEl) return;
+
+    const lang = document.getElementById('languageSelect').value || 'es';
+    const t = translations[lang] || translations.en;
+    const idle = summary.tabs.filter(tab => !tab.busy && !tab.pending).length;
+    countEl.textContent = `${summary.tabs.length} (${idle} ${t.webAppTabsIdle})`
+      + (summary.queued ? ` · ${summary.queued} ${t.webAppTabsQueued}` : '');
+  });
 }
 
 // Initialize
@@ -129,13 +648,40 @@ document.addEventListener('DOMContentLoaded', () => {
   updateApiStats();
   setInterval(updateApiStats, 1000);
 
-  // Load saved permission mode
-  chrome.storage.local.get(['permissionMode', 'language', 'pendingUpdate'], (result) => {
-    // Permission Mode
-    const mode = result.permissionMode || 'ask';
-    const radio = document.querySelector(`input[value="${mode}"]`);
-    if (radio) radio.checked = true;
+  // Open the webapp for API requests when no tab is registered
+  const autoOpen = document.getElementById('autoOpenWebApp');
+  chrome.storage.local.get(['autoOpenWebApp'], (result) => {
+    autoOpen.checked = !!result.autoOpenWebApp;
+  });
+  autoOpen.addEventListener('change', () => {
+    chrome.storage.local.set({ autoOpenWebApp: autoOpen.checked }, showSavedMessage);
+  });
+
+  // Local server (native host)
+  loadNativeHost();
+  setInterval(updateNativeHostStatus, 1000);
+  document.querySelectorAll('[data-native-host]').forEach(input => {
+    input.addEventListener('change', saveNativeHost);
+  });
+
+  // Domain policy
+  loadDomainPolicy();
+  document.querySelectorAll('[data-domain-list], [data-domain-setting]').forEach(input => {
+    input.addEventListener('change', saveDomainPolicy);
+  });
 
+  // API keys
+  loadApiKeys();
+  document.getElementById('createApiKeyBtn').addEventListener('click', createApiKey);
+  document.getElementById('copyApiKeyBtn').addEventListener('click', copyApiKey);
+
+  // Permission policy
+  loadPermissionPolicy();
+  document.querySelectorAll('[data-permission]').forEach(select => {
+    select.addEventListener('change', savePermissionPolicy);
+  });
+
+  chrome.storage.local.get(['language', 'pendingUpdate'], (result) => {
     // Language
     let lang = result.language;
     if (!lang) {
@@ -151,6 +697,22 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // Search settings
+  loadSearchSettings();
+  document.querySelectorAll('[data-setting]').forEach(input => {
+    input.addEventListener('change', saveSearchSettings);
+  });
+
+  // Search providers
+  loadProviderSettings();
+  document.querySelectorAll('[data-provider], [data-provider-setting]').forEach(input => {
+    input.addEventListener('change', saveProviderSettings);
+  });
+
+  // Send the current page to the webapp
+  document.getElementById('sendPageBtn').addEventListener('click', () => sendActivePage(false));
+  document.getElementById('sendSelectionBtn').addEventListener('click', () => sendActivePage(true));
+
   // Language Selector Listener
   const langSelector = document.getElementById('languageSelect');
   if (langSelector) {
@@ -197,34 +759,13 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 });
 
-// Listen for permission mode changes
+// Permission presets set every action at once
 document.querySelectorAll('input[name="permissionMode"]').forEach(radio => {
   radio.addEventListener('change', (e) => {
-    const mode = e.target.value;
-    
-    // Save to storage
-    chrome.storage.local.set({ permissionMode: mode }, () => {
-      console.log('[Popup] Permission mode saved:', mode);
-      
-      // Show saved message
-      const savedMessage = document.getElementById('savedMessage');
-      savedMessage.classList.add('show');
-      
-      setTimeout(() => {
-        savedMessage.classList.remove('show');
-      }, 2000);
-
-      // Notify all content scripts
-      chrome.tabs.query({}, (tabs) => {
-        tabs.forEach(tab => {
-          chrome.tabs.sendMessage(tab.id, {
-            type: 'PERMISSION_MODE_CHANGED',
-            mode
-          }).catch(() => {
-            // Ignore errors for tabs without content script
-          });
-        });
-      });
+    const value = e.target.value === 'permissive' ? 'allow' : 'ask';
+    document.querySelectorAll('[data-permission]').forEach(select => {
+      select.value = value;
     });
+    savePermissionPolicy();
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,161 @@
+// Search result parsers - Used by the background worker's search providers
+// Each provider's response (HTML page or JSON API) is turned into
+// [{ url, title, snippet }] in rank order. They are pure functions with no
+// chrome.* or fetch dependency, so tests/providers-self-test.js runs them
+// against the saved responses in tests/fixtures/providers.
+
+/**
+ * opensearch returns [query, titles, descriptions, urls]
+ */
+export function parseWikipediaResults(data) {
+  const [, titles = [], descriptions = [], urls = []] = data || [];
+  return urls.map((url, index) => ({
+    url,
+    title: titles[index] || url,
+    snippet: descriptions[index] || ''
+  }));
+}
+
+/**
+ * DDG Lite renders each result as a `result-link` anchor followed by a
+ * `result-snippet` cell. Falls back to bare uddg= links if the markup changes.
+ */
+export function parseDDGLiteResults(html) {
+  const links = [];
+  const anchorRegex = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+  let match;
+
+  while ((match = anchorRegex.exec(html)) !== null) {
+    if (!/class=['"][^'"]*\bresult-link\b/i.test(match[1])) continue;
+    const href = /href=['"]([^'"]+)['"]/i.exec(match[1]);
+    links.push({ href: href ? decodeHtmlEntities(href[1]) : '', title: match[2], start: match.index, end: anchorRegex.lastIndex });
+  }
+
+  if (links.length === 0) {
+    return extractUrlsFromDDGLite(html).map(url => ({ url, title: url, snippet: '' }));
+  }
+
+  const results = [];
+  const seen = new Set();
+  links.forEach((link, index) => {
+    const url = decodeDDGUrl(link.href);
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+
+    // The snippet belongs to this result only if it appears before the next link
+    const segment = html.slice(link.end, index + 1 < links.length ? links[index + 1].start : html.length);
+    const snippet = /<td[^>]*class=['"][^'"]*\bresult-snippet\b[^'"]*['"][^>]*>([\s\S]*?)<\/td>/i.exec(segment);
+
+    results.push({
+      url,
+      title: htmlToText(link.title) || url,
+      snippet: snippet ? htmlToText(snippet[1]) : ''
+    });
+  });
+  return results;
+}
+
+/**
+ * Resolve DDG redirect links (//duckduckgo.com/l/?uddg=...) and drop ads
+ */
+function decodeDDGUrl(href) {
+  try {
+    const parsed = new URL(href, 'https://lite.duckduckgo.com');
+    const target = parsed.hostname.endsWith('duckduckgo.com') ? parsed.searchParams.get('uddg') : parsed.href;
+    if (!target || !target.startsWith('http') || target.includes('duckduckgo.com')) return null;
+    return target;
+  } catch (e) {
+    return null;
+  }
+}
+
+function extractUrlsFromDDGLite(html) {
+  const urls = [];
+  const uddgRegex = /uddg=([^&"']+)/gi;
+  let match;
+  while ((match = uddgRegex.exec(html)) !== null) {
+    try {
+      const decodedUrl = decodeURIComponent(match[1]);
+      if (decodedUrl.startsWith('http') && !decodedUrl.includes('duckduckgo.com')) {
+        urls.push(decodedUrl);
+      }
+    } catch (e) {}
+  }
+  return [...new Set(urls)];
+}
+
+export function parseSearXNGResults(data) {
+  return ((data && data.results) || []).map(result => ({
+    url: result.url,
+    title: result.title || result.url,
+    snippet: result.content || ''
+  }));
+}
+
+export function parseBraveResults(data) {
+  return ((data && data.web && data.web.results) || []).map(result => ({
+    url: result.url,
+    title: htmlToText(result.title || '') || result.url,
+    snippet: htmlToText(result.description || '')
+  }));
+}
+
+export function parseBingResults(html) {
+  const results = [];
+  const blockRegex = /<li class="b_algo"[^>]*>([\s\S]*?)<\/li>/gi;
+  let block;
+
+  while ((block = blockRegex.exec(html)) !== null) {
+    const link = /<h2[^>]*>\s*<a[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/i.exec(block[1]);
+    if (!link) continue;
+
+    const url = decodeBingUrl(decodeHtmlEntities(link[1]));
+    if (!url || !url.startsWith('http')) continue;
+
+    const snippet = /<p[^>]*>([\s\S]*?)<\/p>/i.exec(block[1]);
+    results.push({
+      url,
+      title: htmlToText(link[2]) || url,
+      snippet: snippet ? htmlToText(snippet[1]) : ''
+    });
+  }
+  return results;
+}
+
+/**
+ * Bing wraps result links in /ck/a redirects with the target in `u=a1<base64url>`
+ */
+function decodeBingUrl(href) {
+  try {
+    const parsed = new URL(href, 'https://www.bing.com');
+    if (!parsed.pathname.startsWith('/ck/')) return parsed.href;
+
+    const encoded = parsed.searchParams.get('u') || '';
+    if (!encoded.startsWith('a1')) return null;
+    const base64 = encoded.slice(2).replace(/-/g, '+').replace(/_/g, '/');
+    return atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Minimal HTML-to-text for result snippets (no DOMParser in the service worker)
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/<\/?(a|b|strong|em|i|span|mark)\b[^>]*>/gi, '') // Inline tags must not split words
+    .replace(/<[^>]*>/g, ' ');
+  return decodeHtmlEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+function decodeHtmlEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isNaN(point) ? entity : String.fromCodePoint(point);
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
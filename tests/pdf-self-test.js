@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// PDF parser self-test - runs pdf-text.js against the files in tests/fixtures/pdf
+//
+//   node tests/pdf-self-test.js
+//
+// flate-tounicode.pdf  FlateDecode content and ToUnicode (bfchar, bfrange
+//                      with base and array targets, spaces inside <...>)
+// cid-objstm.pdf       Type0 font with 2-byte CIDs, dictionaries inside a
+//                      compressed object stream, two pages, UTF-16 title
+// winansi.pdf          No ToUnicode: literal string escapes, T* and TJ gaps
+// encrypted.pdf        Rejected
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parsePdf } from '../pdf-text.js';
+import { runChecks } from './run-checks.cjs';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'pdf');
+
+const parseFixture = name => parsePdf(new Uint8Array(fs.readFileSync(path.join(FIXTURES, name))));
+
+const checks = [
+  ['FlateDecode content is inflated and mapped through ToUnicode', async () => {
+    const { pages } = await parseFixture('flate-tounicode.pdf');
+    return pages.length === 1 && pages[0].split('\n')[0] === 'find the office';
+  }],
+  ['bfrange array targets with spaces inside <...> keep later mappings aligned', async () => {
+    const { pages } = await parseFixture('flate-tounicode.pdf');
+    return pages[0].split('\n')[1] === 'e-mail and offer';
+  }],
+  ['bfrange base targets and wide TJ gaps', async () => {
+    const { pages } = await parseFixture('flate-tounicode.pdf');
+    return pages[0].split('\n')[2] === 'A BC';
+  }],
+  ['2-byte CIDs are decoded with the ToUnicode codespace', async () => {
+    const { pages } = await parseFixture('cid-objstm.pdf');
+    return pages.length === 2 && pages[0] === 'Primera página\nSegunda linea' && pages[1] === 'Café final';
+  }],
+  ['dictionaries in object streams and the document info are read', async () => {
+    const { info } = await parseFixture('cid-objstm.pdf');
+    return info.title === 'Informe técnico' && info.author === 'Ana Pérez'
+      && info.language === 'es-ES' && info.createdAt === '2024-03-15T08:30:00.000Z';
+  }],
+  ['fonts without ToUnicode fall back to WinAnsi', async () => {
+    const { pages } = await parseFixture('winansi.pdf');
+    return pages[0] === 'It’s a (small) test\nWord spacing\ncafé € 5';
+  }],
+  ['encrypted files are rejected', async () => {
+    try {
+      await parseFixture('encrypted.pdf');
+      return false;
+    } catch (error) {
+      return /encrypted/i.test(error.message);
+    }
+  }],
+  ['anything else is not a PDF', async () => {
+    try {
+      await parsePdf(new TextEncoder().encode('<html></html>'));
+      return false;
+    } catch (error) {
+      return error.message === 'Not a PDF file';
+    }
+  }]
+];
+
+runChecks(checks);
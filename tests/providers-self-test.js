@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+// Search provider self-test - runs the parsers in search-parsers.js
+// against the responses in tests/fixtures/providers, cut down to a few
+// results in the markup and JSON shape each provider serves
+//
+//   node tests/providers-self-test.js
+//
+// duckduckgo-lite.html  Ad links, uddg= redirects with &amp;, a result without
+//                       snippet, a repeated URL
+// bing.html             /ck/a redirects with base64url targets, entities,
+//                       a result without <p>, an unknown redirect encoding
+// searxng.json          Missing content, empty title
+// brave.json            HTML in title and description
+// wikipedia.json        opensearch with fewer descriptions than URLs
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as providers from '../search-parsers.js';
+import { runChecks } from './run-checks.cjs';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'providers');
+
+const readFixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const readJsonFixture = name => JSON.parse(readFixture(name));
+const sameJson = (actual, expected) => JSON.stringify(actual) === JSON.stringify(expected);
+
+const checks = [
+  ['DuckDuckGo Lite: ads and repeated URLs are dropped, uddg= targets decoded', () => {
+    const results = providers.parseDDGLiteResults(readFixture('duckduckgo-lite.html'));
+    return sameJson(results.map(result => result.url), [
+      'https://www.rust-lang.org/learn?x=1&y=2',
+      'https://en.wikipedia.org/wiki/Rust_(programming_language)',
+      'https://doc.rust-lang.org/book/'
+    ]);
+  }],
+  ['DuckDuckGo Lite: snippets stay with their own result', () => {
+    const [learn, wikipedia, book] = providers.parseDDGLiteResults(readFixture('duckduckgo-lite.html'));
+    return learn.title === 'Learn Rust - Rust Programming Language'
+      && learn.snippet === 'A language empowering everyone to build reliable and efficient software & tools.'
+      && wikipedia.snippet === ''
+      && book.snippet.startsWith('by Steve Klabnik');
+  }],
+  ['DuckDuckGo Lite: bare uddg= links are used when the markup changes', () => {
+    const html = readFixture('duckduckgo-lite.html').replace(/class='result-link'/g, '');
+    return sameJson(providers.parseDDGLiteResults(html).map(result => result.url), [
+      'https://www.rust-lang.org/learn?x=1&y=2',
+      'https://en.wikipedia.org/wiki/Rust_(programming_language)',
+      'https://doc.rust-lang.org/book/'
+    ]);
+  }],
+  ['Bing: /ck/a redirects are decoded and unknown encodings dropped', () => {
+    const results = providers.parseBingResults(readFixture('bing.html'));
+    return sameJson(results.map(result => result.url), [
+      'https://en.wikipedia.org/wiki/Rust_(programming_language)',
+      'https://doc.rust-lang.org/book/?lang=en&v=2',
+      'https://www.rust-lang.org/'
+    ]);
+  }],
+  ['Bing: titles and snippets are plain text', () => {
+    const [wikipedia, book, home] = providers.parseBingResults(readFixture('bing.html'));
+    return wikipedia.title === 'Rust (programming language) - Wikipedia'
+      && wikipedia.snippet.endsWith('concurrency — without a garbage collector.')
+      && book.snippet === 'Welcome to The Rust Programming Language, an introductory book about Rust.'
+      && home.snippet === '';
+  }],
+  ['SearXNG: missing fields fall back to the URL and an empty snippet', () => {
+    const results = providers.parseSearXNGResults(readJsonFixture('searxng.json'));
+    return results.length === 3
+      && results[1].snippet === ''
+      && results[2].title === 'https://github.com/rust-lang/rust';
+  }],
+  ['Brave: HTML in titles and descriptions is removed', () => {
+    const results = providers.parseBraveResults(readJsonFixture('brave.json'));
+    return sameJson(results, [
+      {
+        url: 'https://www.rust-lang.org/',
+        title: 'Rust Programming Language',
+        snippet: 'A language empowering everyone to build reliable and efficient software & tools.'
+      },
+      {
+        url: 'https://en.wikipedia.org/wiki/Rust_(programming_language)',
+        title: 'Rust (programming language) - Wikipedia',
+        snippet: ''
+      }
+    ]);
+  }],
+  ['Wikipedia: opensearch arrays are zipped by position', () => {
+    const results = providers.parseWikipediaResults(readJsonFixture('wikipedia.json'));
+    return results.length === 3
+      && results[0].title === 'Rust (programming language)'
+      && results[2].url === 'https://en.wikipedia.org/wiki/Rustic_language'
+      && results[2].snippet === '';
+  }],
+  ['Empty or unexpected responses give no results', () => {
+    return providers.parseDDGLiteResults('<html></html>').length === 0
+      && providers.parseBingResults('').length === 0
+      && providers.parseSearXNGResults({}).length === 0
+      && providers.parseBraveResults(null).length === 0
+      && providers.parseWikipediaResults(null).length === 0;
+  }]
+];
+
+runChecks(checks);
@@ -0,0 +1,31 @@
+// Runner shared by the self-tests (npm test runs them all). CommonJS so
+// both the ES module tests and native-host/stub-browser.js can load it
+//
+// A check is a [name, fn] pair; fn returns, or resolves to, true when it
+// passes. Checks run one after another and print one ok/FAIL line each.
+
+'use strict';
+
+/**
+ * Run `checks`, print a summary and set the exit code. Resolves to the
+ * number of failed checks.
+ */
+async function runChecks(checks) {
+  let failed = 0;
+  for (const [name, check] of checks) {
+    let ok = false;
+    try {
+      ok = await check();
+    } catch (error) {
+      console.error(`  ${error.message}`);
+    }
+    if (!ok) failed++;
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}`);
+  }
+
+  console.log(failed ? `${failed} check(s) failed` : 'All checks passed');
+  process.exitCode = failed ? 1 : 0;
+  return failed;
+}
+
+module.exports = { runChecks };